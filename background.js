@@ -1,35 +1,380 @@
 import { log, LEVELS } from './utils/logger.js';
-import { sendNotification } from './utils/notifier.js';
-import { getCurrentServer, SERVERS } from './utils/storage.js';
+import {
+  AUTH_STATE_KEY,
+  AUTH_STATES,
+  clearTokens,
+  getTokenInfo,
+  isExpiringSoon,
+  isRefreshRejected,
+  refreshAccessToken,
+  REFRESH_SKEW_MS,
+  storeTokens,
+} from './utils/auth.js';
+import { loginWithSso, refreshSsoToken, supportsSso } from './utils/sso.js';
+import {
+  deliverMessage,
+  findNotification,
+  NOTIFICATION_ACTIONS,
+  sendNotification,
+  setNotificationFeedback,
+} from './utils/notifier.js';
+import { getCurrentServer, getIdleThreshold, IDLE_THRESHOLD_KEY, SERVERS } from './utils/storage.js';
+import { getSettings, onSettingsChanged, SETTINGS } from './utils/settings.js';
+import {
+  DEVICE_TYPE,
+  getDeviceMetadata,
+  listDevices,
+  renameDevice,
+  resolveDeviceName,
+  revokeDevice,
+} from './utils/device.js';
+import { getPauseState, PAUSE_REASONS, PAUSED_UNTIL_KEY, SCHEDULE_KEY } from './utils/pause.js';
+import { MENU_IDS, setupMenus } from './utils/menus.js';
+import { closeAllVisits, closeVisit, focusVisit, recordVisit } from './utils/timeline.js';
+import {
+  finishAllEngagement,
+  finishEngagement,
+  startEngagement,
+  trackEngagement,
+  updateEngagement,
+} from './utils/engagement.js';
+import { getPushState, PUSH_ALARM, pushUrlFor, startPush, stopPush } from './utils/push.js';
+import { createMessageRouter, MESSAGE_TYPES } from './utils/messages.js';
+import {
+  ACTION_STATUS,
+  CONSENT_LEVELS,
+  describeAction,
+  executeAction,
+  findTabByUrl,
+  fireReminder,
+  getActionConsent,
+  isKnownAction,
+  logAction,
+  REMINDER_ALARM_PREFIX,
+  savePendingAction,
+  takePendingAction,
+  validateAction,
+} from './utils/actions.js';
+import {
+  appendChatMessage,
+  CHAT_PORT_NAME,
+  clearChatHistory,
+  getChatHistory,
+  MAX_CONTEXT_MESSAGES,
+  readAnswerStream,
+} from './utils/chat.js';
+import {
+  applyCaptureLevel,
+  blockSite,
+  CAPTURE_LEVELS,
+  DEFAULT_PRIVACY_SETTINGS,
+  getPrivacySettings,
+  PRIVACY_SETTINGS_KEY,
+  resolveCaptureLevel,
+} from './utils/privacy.js';
+import { extractPageContent } from './utils/extractor.js';
+import {
+  buildBrowserState,
+  diffState,
+  KEEPALIVE_BASE_MS,
+  nextKeepAliveDelay,
+  parseIntervalHint,
+} from './utils/heartbeat.js';
+import {
+  claimUpload,
+  hashContent,
+  isRouteFragment,
+  normalizeUrl,
+  recordUploadOutcome,
+  rememberUpload,
+  tryAcquireUploadSlot,
+} from './utils/dedupe.js';
+import {
+  buildActionPayload,
+  buildActivePayload,
+  buildEngagementPayload,
+  buildHeartbeatPayload,
+  buildLogoutPayload,
+  buildPresencePayload,
+  FEATURES,
+  fetchCapabilities,
+  LEGACY_CAPABILITIES,
+  supports,
+} from './utils/protocol.js';
+import { compileCustomPatterns, redactPage, redactText, redactUrl } from './utils/redact.js';
+import {
+  enqueue,
+  flushQueue,
+  hasPendingRequests,
+  isRetryable,
+  QUEUE_ALARM,
+  QUEUE_KEY,
+  replaceQueuedToken,
+} from './utils/queue.js';
 
 // ----------------- Constants -----------------
 let API_BASE = 'https://web-production-d7d37.up.railway.app';
 
+// What the selected server understands; legacy until the handshake says otherwise
+let serverCapabilities = LEGACY_CAPABILITIES;
+
+/**
+ * Run the capability handshake against the current server. A change of
+ * schema invalidates the acknowledged heartbeat state, so the next heartbeat
+ * is a full snapshot in the new format.
+ * @param {{ force?: boolean }} [options]
+ */
+async function refreshCapabilities(options) {
+  const baseUrl = API_BASE;
+  const caps = await fetchCapabilities(baseUrl, options);
+  // The user may have switched servers while the handshake was in flight
+  if (baseUrl !== API_BASE) return;
+  if (JSON.stringify(caps) !== JSON.stringify(serverCapabilities)) {
+    serverCapabilities = caps;
+    lastAckedState = null;
+  }
+  syncPushChannel();
+}
+
+/**
+ * Keep the push channel connected while logged in to a server that offers
+ * one, and closed otherwise. Cheap to call on every wake-up.
+ */
+async function syncPushChannel() {
+  if (!isAuthenticated || !supports(serverCapabilities, FEATURES.PUSH)) {
+    stopPush();
+    return;
+  }
+  startPush({
+    url: pushUrlFor(API_BASE, serverCapabilities),
+    deviceId: await getOrCreateDeviceId(),
+    getToken: getValidToken,
+    onMessage: handlePushMessage,
+    // A session that cannot be refreshed is expired, which stops the channel
+    onUnauthorized: handleUnauthorized,
+  });
+}
+
+/**
+ * Show a message the server pushed, exactly like one that came back from
+ * /active.
+ * @param {{id?: string, title?: string, message: string, url?: string, buttons?: object[]}} frame
+ */
+async function handlePushMessage(frame) {
+  const text = typeof frame.message === 'string' && frame.message.trim();
+  if (!text) return;
+  log(LEVELS.INFO, 'BG', 'Push message received', { id: frame.id });
+  await deliverMessage(frame.title || 'Thoth', text, {
+    id: frame.id ? `thoth-${frame.id}` : undefined,
+    serverId: frame.id,
+    url: frame.url,
+    buttons: frame.buttons,
+  });
+}
+
 // Initialize the API base URL
 (async () => {
   try {
     const server = await getCurrentServer();
     API_BASE = server.url;
     log(LEVELS.INFO, 'BG', `Using server: ${server.name} (${server.url})`);
+    await refreshCapabilities();
   } catch (error) {
     console.error('Failed to load server config:', error);
   }
 })();
-const DEVICE_NAME = 'browser-chrome';
-const DEVICE_TYPE = 'browser';
 const HEARTBEAT_ALARM = 'deviceHeartbeat';
-const HEARTBEAT_INTERVAL_MS = 1000; // 1 second heartbeat when service worker is awake
+const TOKEN_REFRESH_ALARM = 'authTokenRefresh';
+const PAUSE_ALARM = 'trackingPauseChange';
+const PAUSE_ANNOUNCED_KEY = 'pauseAnnounced'; // {signature, reported} of the pause last applied, so it is reported once
+const PAUSE_RETRY_MS = 60 * 1000; // a pause the backend did not accept is reported again after this
+const HEARTBEAT_COALESCE_MS = 300; // bursts of tab/focus events produce one heartbeat
 const DEVICE_ID_KEY = 'device_id';
-let heartbeatIntervalId = null; // stores setInterval id
+const NAVIGATION_SETTLE_MS = 1500; // quiet period before an in-page navigation is reported
+let heartbeatTimerId = null; // stores setTimeout id of the next keep-alive
+let pendingHeartbeatId = null; // stores setTimeout id of a coalesced state-change heartbeat
+let keepAliveDelayMs = KEEPALIVE_BASE_MS; // current keep-alive interval, grows while idle
+let serverIntervalMs = null; // keep-alive interval requested by the server, if any
+let lastHeartbeatAt = 0; // time of the last heartbeat attempt
+let lastAckedState = null; // browser state the server last acknowledged; heartbeats send diffs
 let isWindowFocused = true; // track Chrome window focus state
+let lastFocusedWindowId = null; // most recently focused browser window, kept while Chrome is unfocused
+let idleState = 'active'; // user presence from chrome.idle: 'active' | 'idle' | 'locked'
+let backendReachable = true; // false after a heartbeat fails; used to trigger queue replay
+let pauseState = { paused: false, reason: null, until: null }; // snooze / schedule, see evaluatePause
+
+// Tunables from the options page (see utils/settings.js), applied live
+let deviceName = null; // resolved from the deviceName setting, see resolveDeviceName
+let deviceMetadata = null; // detected browser / OS / profile, see getDeviceMetadata
+let maxContentLength = SETTINGS.maxContentLength.default; // main-text budget for /active uploads
+let keepAliveBaseMs = KEEPALIVE_BASE_MS; // keep-alive interval while engaged, unless the server asks otherwise
+
+async function applySettings(settings) {
+  if ('deviceName' in settings) {
+    deviceMetadata = deviceMetadata || (await getDeviceMetadata());
+    deviceName = await resolveDeviceName(settings.deviceName, deviceMetadata);
+  }
+  if ('maxContentLength' in settings) {
+    maxContentLength = settings.maxContentLength;
+    // Pages already reported were cut to the old length; let them be captured again
+    lastURLMap.clear();
+  }
+  if ('heartbeatIntervalSeconds' in settings) {
+    keepAliveBaseMs = settings.heartbeatIntervalSeconds * 1000;
+    keepAliveDelayMs = keepAliveBaseMs;
+    armKeepAlive();
+  }
+}
+
+getSettings().then(applySettings).catch((err) => {
+  log(LEVELS.ERROR, 'BG', 'Failed to apply settings', { error: err?.message });
+});
+
+/**
+ * This device as sent to the backend.
+ * @param {string} deviceId - From getOrCreateDeviceId
+ * @param {{ withMetadata?: boolean }} [options] - Include browser / OS / profile details
+ * @returns {Promise<{id: string, name: string, type: string, metadata?: object}>}
+ */
+async function describeDevice(deviceId, { withMetadata = false } = {}) {
+  // Settings may still be loading right after the worker starts
+  if (!deviceName) await applySettings({ deviceName: (await getSettings()).deviceName });
+  return { id: deviceId, name: deviceName, type: DEVICE_TYPE, ...(withMetadata && { metadata: deviceMetadata }) };
+}
+onSettingsChanged(async (changed) => {
+  await applySettings(changed);
+  log(LEVELS.INFO, 'BG', 'Settings updated', changed);
+  // The backend shows the device name; tell it right away
+  if ('deviceName' in changed) requestHeartbeat('settings-changed');
+});
+
+// Privacy rules, cached so tab events can be filtered synchronously
+let privacySettings = DEFAULT_PRIVACY_SETTINGS;
+getPrivacySettings().then((settings) => {
+  privacySettings = settings;
+});
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes[PRIVACY_SETTINGS_KEY]) {
+    privacySettings = { ...DEFAULT_PRIVACY_SETTINGS, ...(changes[PRIVACY_SETTINGS_KEY].newValue || {}) };
+    // Forget reported URLs so tabs are re-evaluated under the new rules
+    lastURLMap.clear();
+    log(LEVELS.INFO, 'BG', 'Privacy settings updated', { mode: privacySettings.mode, rules: privacySettings.rules.length });
+  }
+});
 
 // Authentication state
-const AUTH_TOKEN_KEY = 'authToken';
 let isAuthenticated = false;
+let refreshInFlight = null; // shared promise while a token refresh is running
 
-// Utility: get auth token from storage (callback with token or undefined)
+// Utility: get a usable auth token (callback with token or undefined),
+// refreshing it first when it is about to expire
 function getAuthToken(cb) {
-  chrome.storage.local.get([AUTH_TOKEN_KEY], (result) => cb(result[AUTH_TOKEN_KEY]));
+  getValidToken().then(cb, () => cb(undefined));
+}
+
+async function getValidToken() {
+  const { token, refreshToken, expiresAt } = await getTokenInfo();
+  if (!token || !isExpiringSoon(expiresAt)) return token;
+  if (refreshToken) {
+    try {
+      return await refreshSession();
+    } catch (err) {
+      log(LEVELS.WARN, 'BG', 'Proactive token refresh failed', { error: err?.message });
+      if (!isRefreshRejected(err)) {
+        // Offline or the server is down: keep the session and try again soon
+        scheduleTokenRefresh();
+        return Date.now() < expiresAt ? token : undefined;
+      }
+    }
+  }
+  if (Date.now() >= expiresAt) {
+    expireSession();
+    return undefined;
+  }
+  // Inside the refresh window but not yet expired – still usable
+  return token;
+}
+
+/**
+ * Exchange the refresh token for a new access token. Concurrent callers share
+ * one request. Queued requests made with the old token are moved over.
+ * @returns {Promise<string>}
+ */
+function refreshSession() {
+  if (!refreshInFlight) {
+    refreshInFlight = (async () => {
+      const { token: oldToken, refreshToken, method } = await getTokenInfo();
+      let newToken;
+      if (method === 'oidc') {
+        // SSO tokens are refreshed at the identity provider, not at /token
+        const data = await refreshSsoToken(await getCurrentServer(), refreshToken);
+        await storeTokens(data, 'oidc');
+        newToken = data.access_token;
+      } else {
+        newToken = await refreshAccessToken(API_BASE, await getOrCreateDeviceId());
+      }
+      await replaceQueuedToken(oldToken, newToken);
+      scheduleTokenRefresh();
+      return newToken;
+    })().finally(() => {
+      refreshInFlight = null;
+    });
+  }
+  return refreshInFlight;
+}
+
+// Wake up shortly before the access token expires to refresh it
+async function scheduleTokenRefresh() {
+  const { expiresAt, refreshToken } = await getTokenInfo();
+  if (!expiresAt) {
+    chrome.alarms.clear(TOKEN_REFRESH_ALARM);
+    return;
+  }
+  // Without a refresh token the alarm still fires, to end the session on time
+  const when = refreshToken ? expiresAt - REFRESH_SKEW_MS : expiresAt;
+  chrome.alarms.create(TOKEN_REFRESH_ALARM, { when: Math.max(when, Date.now() + 30 * 1000) });
+}
+
+/**
+ * The backend rejected our token (HTTP 401): try a refresh once, otherwise
+ * end the session.
+ */
+async function handleUnauthorized() {
+  if (!isAuthenticated) return;
+  const { refreshToken } = await getTokenInfo();
+  if (refreshToken) {
+    try {
+      await refreshSession();
+      return;
+    } catch (err) {
+      log(LEVELS.WARN, 'BG', 'Token refresh after 401 failed', { error: err?.message });
+      if (!isRefreshRejected(err)) {
+        scheduleTokenRefresh();
+        return;
+      }
+    }
+  }
+  expireSession();
+}
+
+/**
+ * Stop tracking because the session can no longer be used, and ask the user
+ * to log in again. Tracking resumes on the next login-success message.
+ */
+function expireSession() {
+  if (!isAuthenticated) return;
+  isAuthenticated = false;
+  lastURLMap.clear();
+  closeAllVisits();
+  finishAllEngagement();
+  stopPush();
+  clearHeartbeat();
+  chrome.alarms.clear(TOKEN_REFRESH_ALARM);
+  clearTokens(AUTH_STATES.EXPIRED);
+  updateBadge();
+  setupMenus(false);
+  log(LEVELS.WARN, 'BG', 'Session expired – tracking disabled');
+  sendNotification('Thoth – session expired', 'Your session has expired. Open Thoth and log in again to resume.');
 }
 
 // Generate a stable device ID if it doesn't exist
@@ -76,26 +421,120 @@ async function getOrCreateDeviceId() {
   });
 }
 
-// Handle server changes
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.type === 'SERVER_CHANGED') {
-    const { server } = request;
-    API_BASE = server.url;
-    log(LEVELS.INFO, 'BG', `Server changed to: ${server.name} (${server.url})`);
-    
-    // Re-authenticate if needed
-    if (isAuthenticated) {
-      // Clear any existing heartbeat
-      clearHeartbeat();
-      // Restart heartbeat with new server
-      scheduleHeartbeat();
-    }
+/**
+ * Build an Error for a non-2xx response, keeping the status so the outbound
+ * queue can tell retryable failures from permanent ones.
+ * @param {string} message
+ * @param {number} status
+ * @returns {Error & {status: number}}
+ */
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Deliver a request persisted by the outbound queue.
+ * @param {{url: string, body: object, token: string}} entry
+ */
+async function deliverQueuedRequest(entry) {
+  const response = await fetch(entry.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${entry.token}`,
+    },
+    body: JSON.stringify(entry.body),
+  });
+  if (!response.ok) {
+    throw httpError(`Queued request failed: ${response.status}`, response.status);
   }
-  return true; // Keep the message channel open for async response
-});
+  // Page uploads finish like direct ones: remembered for dedupe, reply shown.
+  // The request was delivered, so nothing from here on may fail it into a retry.
+  if (entry.kind === 'active' && entry.context) {
+    const { cacheKey, contentHash, url } = entry.context;
+    await rememberUpload(cacheKey, contentHash).catch((err) => {
+      log(LEVELS.WARN, 'BG', 'Failed to remember replayed upload', { error: err?.message });
+    });
+    countUpload('sent', { url: cacheKey, replayed: true });
+    await handleActiveResponse(response, url);
+  }
+}
+
+// Upload stats are informational: a storage failure is logged, never raised
+function countUpload(outcome, context) {
+  recordUploadOutcome(outcome, context).catch((err) => {
+    log(LEVELS.WARN, 'BG', 'Failed to record upload stats', { error: err?.message });
+  });
+}
+
+// For enqueue calls in error paths, which have nobody left to report to
+function logQueueFailure(err) {
+  log(LEVELS.ERROR, 'BG', 'Failed to queue request for retry', { error: err?.message });
+}
+
+/**
+ * Replay queued requests. Failures are handled and rescheduled by the queue.
+ * @param {{ force?: boolean }} [options]
+ */
+function replayQueue(options) {
+  flushQueue(deliverQueuedRequest, options).catch((err) => {
+    log(LEVELS.ERROR, 'BG', 'Failed to flush outbound queue', { error: err?.message });
+  });
+}
+
+/**
+ * Point the extension at another server. Tokens are only valid on the server
+ * that issued them, so an active session is logged out there and the user is
+ * asked to log in again – automatically, when the new server uses SSO.
+ * @param {object} server - Entry from getServers()
+ */
+async function switchServer(server) {
+  const previous = { apiBase: API_BASE, caps: serverCapabilities };
+  API_BASE = server.url;
+  serverCapabilities = LEGACY_CAPABILITIES;
+  log(LEVELS.INFO, 'BG', `Server changed to: ${server.name} (${server.url})`);
+  refreshCapabilities({ force: true });
+
+  const { token } = await getTokenInfo();
+  if (!token || previous.apiBase === server.url) return;
+
+  isAuthenticated = false;
+  lastURLMap.clear();
+  closeAllVisits();
+  finishAllEngagement();
+  stopPush();
+  clearHeartbeat();
+  chrome.alarms.clear(TOKEN_REFRESH_ALARM);
+  sendLogout(token, previous);
+  await clearTokens(AUTH_STATES.SERVER_CHANGED);
+  updateBadge();
+  setupMenus(false);
+  log(LEVELS.INFO, 'BG', 'Logged out of previous server – re-login required');
+
+  if (supportsSso(server)) {
+    // Failures are logged; the popup offers the SSO button again
+    await startSsoLogin().catch(() => {});
+  }
+}
+
+// Outcome of the latest heartbeat and /active upload, for the popup's status view
+const LAST_HEARTBEAT_KEY = 'lastHeartbeat';
+const LAST_ACTIVE_KEY = 'lastActive';
+
+function recordOutcome(key, outcome) {
+  chrome.storage.session.set({ [key]: { at: Date.now(), ...outcome } }).catch((err) => {
+    log(LEVELS.WARN, 'BG', 'Failed to record outcome', { key, error: err?.message });
+  });
+}
 
-// Send heartbeat to backend
-async function sendHeartbeat(details = {}) {
+/**
+ * Send heartbeat to backend.
+ * @param {object} details - Browser state (see buildHeartbeatPayload)
+ * @param {{ delta?: boolean }} [options] - `details` only holds changed fields
+ */
+async function sendHeartbeat(details = {}, { delta = false } = {}) {
   if (!isAuthenticated) {
     log(LEVELS.INFO, 'BG', 'Skipping heartbeat - not authenticated');
     return;
@@ -120,18 +559,15 @@ async function sendHeartbeat(details = {}) {
       isValid: deviceId && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(deviceId)
     });
     
-    // Prepare request body as JSON with required heartbeat_data fields:
-    // device_id, device_name, device_type, current_app, current_page, current_url
-    const payload = {
-      device_id: deviceId,
-      device_name: DEVICE_NAME,
-      device_type: DEVICE_TYPE,
-      // Add optional fields if they exist
-      ...(details.current_app && { current_app: details.current_app }),
-      ...(details.current_page && { current_page: details.current_page }),
-      ...(details.current_url && { current_url: details.current_url }),
-      ...(typeof details.focused === 'boolean' && { focused: details.focused })
-    };
+    // Prepare request body in the schema the server negotiated; titles and
+    // URLs in `details` have already been through privacy rules and redaction
+    const payload = buildHeartbeatPayload(
+      serverCapabilities,
+      // Full snapshots also carry browser / OS / profile details
+      await describeDevice(deviceId, { withMetadata: !delta }),
+      details,
+      { delta }
+    );
 
     log(LEVELS.DEBUG, 'BG', 'Sending heartbeat request', { 
       url: `${API_BASE}/device/heartbeat`,
@@ -152,8 +588,15 @@ async function sendHeartbeat(details = {}) {
       const responseText = await response.text();
       
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}, response: ${responseText}`);
+        throw httpError(`HTTP error! status: ${response.status}, response: ${responseText}`, response.status);
+      }
+      recordOutcome(LAST_HEARTBEAT_KEY, { ok: true, status: response.status });
+
+      // Backend is reachable again – replay anything queued while it was not
+      if (!backendReachable && hasPendingRequests()) {
+        replayQueue({ force: true });
       }
+      backendReachable = true;
       
       try {
         const responseData = responseText ? JSON.parse(responseText) : {};
@@ -161,6 +604,7 @@ async function sendHeartbeat(details = {}) {
           status: response.status,
           response: responseData
         });
+        handleRequestedActions(responseData.actions, 'heartbeat');
         // Emit heartbeat response as extension notification
         // sendNotification(
         //   'Heartbeat response',
@@ -181,6 +625,13 @@ async function sendHeartbeat(details = {}) {
         stack: err.stack,
         url: `${API_BASE}/device/heartbeat`
       });
+      recordOutcome(LAST_HEARTBEAT_KEY, { ok: false, status: err.status, error: err.message });
+      if (isRetryable(err)) {
+        backendReachable = false;
+        await enqueue('heartbeat', `${API_BASE}/device/heartbeat`, payload, token);
+      } else if (err.status === 401) {
+        handleUnauthorized();
+      }
       throw err; // Re-throw to allow caller to handle if needed
     }
   } catch (err) {
@@ -193,93 +644,176 @@ async function sendHeartbeat(details = {}) {
   }
 }
 
-// Send heartbeat including active tab info plus aggregated browser details
-function heartbeatWithActiveTab() {
-  // Get the current window with all tabs populated so we can compute metrics
-  chrome.windows.getCurrent({ populate: true }, async (window) => {
-    if (chrome.runtime.lastError || !window) {
-      log(LEVELS.ERROR, 'BG', 'windows.getCurrent error', chrome.runtime.lastError);
-      await sendHeartbeat({ current_app: 'chrome' }).catch(err => {
-        log(LEVELS.ERROR, 'BG', 'Failed to send heartbeat', err);
-      });
+/**
+ * Send a heartbeat describing `state` as a diff against the last state the
+ * server acknowledged, then plan the next keep-alive.
+ * @param {object} state - Full browser state (see STATE_FIELDS)
+ * @param {string} reason - What triggered the heartbeat, for logging
+ */
+async function sendStateHeartbeat(state, reason) {
+  if (!isAuthenticated) return;
+  const changes = diffState(lastAckedState, state);
+  const changed = Object.keys(changes).length > 0;
+  lastHeartbeatAt = Date.now();
+  // The first heartbeat after login or a server switch carries the full state,
+  // as does every heartbeat to a server that does not understand deltas
+  const delta = !!lastAckedState && supports(serverCapabilities, FEATURES.HEARTBEAT_DELTA);
+  try {
+    const response = await sendHeartbeat(delta ? changes : state, { delta });
+    // undefined means the heartbeat was skipped (no token), so nothing was acknowledged
+    if (response !== undefined) {
+      lastAckedState = response.full_state_required ? null : state;
+      const hint = parseIntervalHint(response);
+      if (hint) serverIntervalMs = hint;
+      log(LEVELS.DEBUG, 'BG', 'Heartbeat acknowledged', { reason, changed: Object.keys(changes) });
+    }
+  } catch (err) {
+    log(LEVELS.ERROR, 'BG', 'Failed to send heartbeat', err);
+  }
+  keepAliveDelayMs = nextKeepAliveDelay(keepAliveDelayMs, {
+    changed,
+    engaged: isWindowFocused && idleState === 'active',
+    baseMs: serverIntervalMs || keepAliveBaseMs,
+  });
+  armKeepAlive();
+}
+
+// Send heartbeat including the active tab plus a structured view of all browser windows
+function heartbeatWithActiveTab(reason = 'keep-alive') {
+  // A paused device has said so once (see announcePause) and then stays quiet
+  if (pauseState.paused) return;
+  (async () => {
+    let windows;
+    let groups = [];
+    try {
+      // Incognito sessions are never reported, not even as window or tab counts
+      windows = (await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] }))
+        .filter((w) => !w.incognito);
+      if (chrome.tabGroups) {
+        const windowIds = new Set(windows.map((w) => w.id));
+        groups = (await chrome.tabGroups.query({})).filter((g) => windowIds.has(g.windowId));
+      }
+    } catch (err) {
+      log(LEVELS.ERROR, 'BG', 'windows.getAll error', { error: err?.message });
+      await sendStateHeartbeat({ focused: isWindowFocused, idle_state: idleState }, reason);
       return;
     }
 
-    const tabs = window.tabs || [];
-    const tabCount = tabs.length;
-    const titles = tabs.map((t) => t.title).filter(Boolean);
-    const activeTab = tabs.find((t) => t.active) || tabs[0];
+    // Only report what the privacy rules allow (blocked tabs still count towards
+    // tab counts), and scrub PII from titles and URLs
+    const custom = compileCustomPatterns(privacySettings.customRedactions);
+    const describeTab = (tab) => {
+      const visible = applyCaptureLevel(resolveCaptureLevel(privacySettings, tab), tab);
+      if (!visible) return null;
+      return { title: redactText(visible.title, custom), url: redactUrl(visible.url, custom) };
+    };
 
-    // Compose current_app string with extended info
-    const titlesStr = titles.join(' | ');
-    const current_app = `chrome|tabs:${tabCount}|titles:${titlesStr}`;
+    // Group titles are typed by the user and may hold the same PII as page titles
+    groups = groups.map((g) => ({ ...g, title: redactText(g.title || '', custom) }));
 
-    const details = { current_app, focused: isWindowFocused };
-    if (activeTab) {
-      details.current_page = activeTab.title;
-      details.current_url = activeTab.url;
-    }
+    const focusedWindow = windows.find((w) => w.focused) ||
+      windows.find((w) => w.id === lastFocusedWindowId) || windows[0];
+    const focusedWindowId = focusedWindow ? focusedWindow.id : null;
+    const browserState = buildBrowserState(windows, groups, focusedWindowId, describeTab);
 
-    try {
-      await sendHeartbeat(details);
-    } catch (err) {
-      log(LEVELS.ERROR, 'BG', 'Failed to send heartbeat', err);
-    }
-  });
+    const details = {
+      focused: isWindowFocused,
+      idle_state: idleState,
+      active_tab: browserState.windows.find((w) => w.id === focusedWindowId)?.active_tab || null,
+      browser: browserState,
+      // Only used to build the legacy current_app string
+      tab_titles: windows
+        .flatMap((w) => w.tabs || [])
+        .map(describeTab)
+        .map((t) => t && t.title)
+        .filter(Boolean),
+    };
+
+    await sendStateHeartbeat(details, reason);
+  })();
 }
 
-// Notify backend on logout
-function sendLogout() {
-  getAuthToken((token) => {
-    if (!token) return;
-    
-    const payload = {
-      device_name: DEVICE_NAME
-    };
+/**
+ * Send a heartbeat soon because browser state changed (active tab, focus,
+ * tab count). Events arriving within HEARTBEAT_COALESCE_MS share one request.
+ * @param {string} reason
+ */
+function requestHeartbeat(reason) {
+  if (!isAuthenticated || pauseState.paused || pendingHeartbeatId !== null) return;
+  pendingHeartbeatId = setTimeout(() => {
+    pendingHeartbeatId = null;
+    heartbeatWithActiveTab(reason);
+  }, HEARTBEAT_COALESCE_MS);
+}
 
-    fetch(`${API_BASE}/device/logout`, {
-      method: 'POST',
-      headers: { 
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}` 
-      },
-      body: JSON.stringify(payload),
-    })
-    .then(response => {
-      if (!response.ok) {
-        return response.text().then(text => {
-          throw new Error(`Logout failed: ${response.status} - ${text}`);
-        });
-      }
-      return response.json();
-    })
-    .catch((err) => {
-      log(LEVELS.ERROR, 'BG', 'Logout error', {
-        error: err.message,
-        stack: err.stack
+// (Re)start the in-memory keep-alive timer for the current interval
+function armKeepAlive() {
+  clearTimeout(heartbeatTimerId);
+  if (!isAuthenticated || pauseState.paused) return;
+  heartbeatTimerId = setTimeout(() => heartbeatWithActiveTab('keep-alive'), keepAliveDelayMs);
+}
+
+/**
+ * Notify backend on logout. Takes the token explicitly because local
+ * credentials are cleared as soon as the user logs out.
+ * @param {string} token
+ * @param {{ apiBase?: string, caps?: object }} [server] - Server the token was
+ *   issued by, when it is no longer the current one
+ */
+async function sendLogout(token, { apiBase = API_BASE, caps = serverCapabilities } = {}) {
+  if (!token) return;
+
+  const deviceId = await getOrCreateDeviceId();
+  const payload = buildLogoutPayload(caps, await describeDevice(deviceId));
+
+  const url = `${apiBase}/device/logout`;
+  fetch(url, {
+    method: 'POST',
+    headers: { 
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}` 
+    },
+    body: JSON.stringify(payload),
+  })
+  .then(response => {
+    if (!response.ok) {
+      return response.text().then(text => {
+        throw httpError(`Logout failed: ${response.status} - ${text}`, response.status);
       });
+    }
+    return response.json();
+  })
+  .catch((err) => {
+    log(LEVELS.ERROR, 'BG', 'Logout error', {
+      error: err.message,
+      stack: err.stack
     });
+    if (isRetryable(err)) {
+      return enqueue('logout', url, payload, token).catch(logQueueFailure);
+    }
   });
 }
 
 function scheduleHeartbeat() {
-  // Fallback alarm to wake the service worker at least once per minute
+  // Fallback alarm to wake the service worker at least once per minute; the
+  // alarm handler only sends when the keep-alive is actually due.
   chrome.alarms.create(HEARTBEAT_ALARM, { periodInMinutes: 1 });
 
-  // Additionally, maintain an in-memory 1-second interval while the
-  // service-worker is alive. Note: the interval is cleared when the worker is
-  // suspended by Chrome, but will resume on the next alarm wake-up.
-  if (heartbeatIntervalId === null) {
-    heartbeatIntervalId = setInterval(heartbeatWithActiveTab, HEARTBEAT_INTERVAL_MS);
-  }
+  // Additionally, keep an in-memory keep-alive timer while the service-worker
+  // is alive. Note: the timer is lost when the worker is suspended by Chrome,
+  // but is re-armed by the next heartbeat.
+  armKeepAlive();
 }
 
 function clearHeartbeat() {
   chrome.alarms.clear(HEARTBEAT_ALARM);
-  if (heartbeatIntervalId !== null) {
-    clearInterval(heartbeatIntervalId);
-    heartbeatIntervalId = null;
-  }
+  clearTimeout(heartbeatTimerId);
+  clearTimeout(pendingHeartbeatId);
+  heartbeatTimerId = null;
+  pendingHeartbeatId = null;
+  keepAliveDelayMs = keepAliveBaseMs;
+  serverIntervalMs = null;
+  lastAckedState = null;
 }
 
 // Initialize extension
@@ -291,48 +825,221 @@ chrome.runtime.onInstalled.addListener(() => {
 });
 
 // Retrieve token on startup
-chrome.storage.local.get([AUTH_TOKEN_KEY], (result) => {
-  if (result[AUTH_TOKEN_KEY]) {
+getTokenInfo().then(({ token }) => {
+  if (token) {
     isAuthenticated = true;
     log(LEVELS.INFO, 'BG', 'Authenticated session detected on startup');
+    // Refreshes (or expires) a token that lapsed while the browser was closed
+    getValidToken().then(scheduleTokenRefresh);
+    syncPushChannel();
   }
+  // Also sets the toolbar badge, logged in or not
+  refreshPauseState();
+  setupMenus(!!token);
   
+  // Pick up anything left undelivered by a previous service-worker instance
+  replayQueue();
+
   // Log the device ID on startup for debugging
   getOrCreateDeviceId().then(deviceId => {
     log(LEVELS.INFO, 'BG', 'Extension started', { deviceId });
   });
 });
 
-// Listen for login/logout events from popup
-chrome.runtime.onMessage.addListener((message) => {
-  if (message?.type === 'login-success') {
-    isAuthenticated = true;
-    heartbeatWithActiveTab();
-    scheduleHeartbeat();
-    log(LEVELS.INFO, 'BG', 'Login success – tracking enabled');
-  } else if (message?.type === 'logout') {
-    sendLogout();
-    isAuthenticated = false;
-    lastURLMap.clear();
-    clearHeartbeat();
-    log(LEVELS.INFO, 'BG', 'Logged out – tracking disabled & cache cleared');
+// Start tracking with a fresh heartbeat schedule once tokens are stored
+function onLoginSuccess() {
+  isAuthenticated = true;
+  clearHeartbeat();
+  heartbeatWithActiveTab('login');
+  scheduleHeartbeat();
+  scheduleTokenRefresh();
+  setupMenus(true);
+  syncPushChannel();
+  chrome.storage.session.remove([LAST_HEARTBEAT_KEY, LAST_ACTIVE_KEY]);
+  // A pause that is still running is announced again to the new session
+  chrome.storage.local.remove(PAUSE_ANNOUNCED_KEY).then(refreshPauseState);
+  log(LEVELS.INFO, 'BG', 'Login success – tracking enabled');
+}
+
+/**
+ * Log in through the current server's identity provider. Runs here rather
+ * than in the popup because the popup closes when the auth window opens.
+ * @throws {Error} When the login was cancelled or failed
+ */
+async function startSsoLogin() {
+  try {
+    const data = await loginWithSso(await getCurrentServer());
+    await storeTokens(data, 'oidc');
+    onLoginSuccess();
+  } catch (err) {
+    log(LEVELS.ERROR, 'BG', 'SSO login failed', { error: err?.message });
+    throw new Error(err?.message || 'SSO login failed');
   }
-});
+}
+
+/**
+ * End the session at the user's request: stop tracking, tell the server and
+ * clear the stored credentials.
+ */
+async function logout() {
+  isAuthenticated = false;
+  lastURLMap.clear();
+  closeAllVisits();
+  finishAllEngagement();
+  stopPush();
+  clearHeartbeat();
+  chrome.alarms.clear(TOKEN_REFRESH_ALARM);
+  updateBadge();
+  setupMenus(false);
+  // Grab the token for the logout call before local credentials are wiped
+  const { token } = await getTokenInfo();
+  sendLogout(token);
+  await clearTokens(AUTH_STATES.LOGGED_OUT);
+  log(LEVELS.INFO, 'BG', 'Logged out – tracking disabled & cache cleared');
+}
+
+/**
+ * Snapshot of the connection for the popup's status view.
+ * @returns {Promise<object>}
+ */
+async function getStatus() {
+  const [{ expiresAt, method }, local, session, server] = await Promise.all([
+    getTokenInfo(),
+    chrome.storage.local.get([AUTH_STATE_KEY, QUEUE_KEY]),
+    chrome.storage.session.get([LAST_HEARTBEAT_KEY, LAST_ACTIVE_KEY]),
+    getCurrentServer(),
+  ]);
+  return {
+    auth: {
+      authenticated: isAuthenticated,
+      state: local[AUTH_STATE_KEY] || null,
+      method: isAuthenticated ? method : null,
+      expiresAt: expiresAt || null,
+    },
+    device: { id: await getOrCreateDeviceId(), name: deviceName },
+    server: { name: server.name, url: API_BASE, capabilities: serverCapabilities },
+    lastHeartbeat: session[LAST_HEARTBEAT_KEY] || null,
+    lastActive: session[LAST_ACTIVE_KEY] || null,
+    presence: { focused: isWindowFocused, idleState },
+    pause: pauseState,
+    push: getPushState(),
+    queued: (local[QUEUE_KEY] || []).length,
+  };
+}
+
+/**
+ * Call the device registry for the popup's device list with a token that is
+ * refreshed when needed.
+ * @param {(apiBase: string, token: string) => Promise<any>} request
+ * @returns {Promise<any>}
+ */
+async function callDeviceRegistry(request) {
+  const token = await getValidToken();
+  if (!token) throw new Error('Not logged in');
+  try {
+    return await request(API_BASE, token);
+  } catch (err) {
+    if (err.status === 401) handleUnauthorized();
+    throw err;
+  }
+}
+
+// Requests from the popup, the in-page overlay and injected trackers
+chrome.runtime.onMessage.addListener(createMessageRouter({
+  // Responds once the old session is closed
+  [MESSAGE_TYPES.SERVER_CHANGED]: ({ server }) => switchServer(server),
+  [MESSAGE_TYPES.LOGIN_SUCCESS]: () => onLoginSuccess(),
+  [MESSAGE_TYPES.SSO_LOGIN]: () => startSsoLogin(),
+  [MESSAGE_TYPES.LOGOUT]: () => logout(),
+  [MESSAGE_TYPES.GET_STATUS]: () => getStatus(),
+  // The device list; null when the server has no device registry
+  [MESSAGE_TYPES.LIST_DEVICES]: () => callDeviceRegistry(listDevices).catch((err) => {
+    if (err.status === 404) return null;
+    throw err;
+  }),
+  [MESSAGE_TYPES.RENAME_DEVICE]: ({ deviceId, name }) =>
+    callDeviceRegistry((apiBase, token) => renameDevice(apiBase, token, deviceId, name)),
+  [MESSAGE_TYPES.REVOKE_DEVICE]: ({ deviceId }) =>
+    callDeviceRegistry((apiBase, token) => revokeDevice(apiBase, token, deviceId)),
+  // Snapshots from trackEngagement in a tracked page
+  [MESSAGE_TYPES.ENGAGEMENT]: ({ snapshot }, sender) => {
+    if (sender.tab) return updateEngagement(sender.tab.id, snapshot);
+  },
+  // From the in-page overlay (see utils/overlay.js)
+  [MESSAGE_TYPES.NOTIFICATION_CLICK]: ({ id }) => handleNotificationClick(id),
+  [MESSAGE_TYPES.NOTIFICATION_BUTTON]: ({ id, index }) => handleNotificationButton(id, index),
+  [MESSAGE_TYPES.NOTIFICATION_FEEDBACK]: ({ id, rating }) => sendNotificationFeedback(id, rating),
+  // Allow / Deny from the popup's action log; false when the prompt is gone
+  [MESSAGE_TYPES.ACTION_ANSWER]: async ({ id, approved }) => {
+    const promptId = `${ACTION_PROMPT_PREFIX}${id}`;
+    const pending = await takePendingAction(promptId);
+    chrome.notifications.clear(promptId);
+    if (pending) await answerActionPrompt(pending, approved);
+    return !!pending;
+  },
+}));
 
 log(LEVELS.INFO, 'BG', 'Background service worker initialised');
 
 /**
- * Map that stores the last URL we notified for each tabId.
+ * Map that stores the last page key (see pageKey) we notified for each tabId.
  * Helps avoid duplicate notifications for repeated updates.
  * @type {Map<number, string>}
  */
 const lastURLMap = new Map();
 
+/**
+ * Pending debounce timers for tabs whose page is still changing.
+ * @type {Map<number, number>}
+ */
+const pendingNavigations = new Map();
+
+/**
+ * Identity of a page for de-duplication: the URL without in-page anchors, so
+ * scrolling to "#comments" is not a new page but "#/settings" is.
+ * @param {string} url
+ * @returns {string}
+ */
+function pageKey(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.hash && !isRouteFragment(parsed.hash)) parsed.hash = '';
+    return parsed.toString();
+  } catch (_) {
+    return url;
+  }
+}
+
+/**
+ * Report a tab once it has stopped changing. Every call restarts the timer,
+ * so a burst of pushState / title updates yields a single upload carrying the
+ * settled URL and title.
+ *
+ * @param {number} tabId
+ * @param {string} reason - What triggered the update, for logging
+ */
+function scheduleTabUpdate(tabId, reason) {
+  clearTimeout(pendingNavigations.get(tabId));
+  pendingNavigations.set(tabId, setTimeout(() => {
+    pendingNavigations.delete(tabId);
+    chrome.tabs.get(tabId, (tab) => {
+      if (chrome.runtime.lastError || !tab) return;
+      // Still loading: the 'complete' update will schedule us again
+      if (tab.status === 'loading') return;
+      log(LEVELS.DEBUG, 'BG', 'Navigation settled', { tabId, reason, url: tab.url });
+      if (reason === 'title') processTitleChange(tabId, tab);
+      else processTabUpdate(tabId, tab);
+    });
+  }, NAVIGATION_SETTLE_MS));
+}
+
 /**
  * Handle tab activation – fired when the active tab in a window changes.
  */
 chrome.tabs.onActivated.addListener(({ tabId, windowId }) => {
   log(LEVELS.DEBUG, 'BG', 'onActivated fired', { tabId, windowId });
+  requestHeartbeat('tab-activated');
+  syncTimelineFocus();
 
   chrome.tabs.get(tabId, (tab) => {
     if (chrome.runtime.lastError) {
@@ -346,122 +1053,388 @@ chrome.tabs.onActivated.addListener(({ tabId, windowId }) => {
 
 /**
  * Handle tab updates – fired whenever a tab changes (*including* URL changes).
+ * Besides full loads, SPAs change the URL via history.pushState without a new
+ * 'complete' event and often set the title late, so URL and title changes are
+ * debounced into a single report too.
  */
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  // We only care when the loading is complete and the URL is available.
-  if (changeInfo.status === 'complete' && tab.url) {
+  // Audio, pinning and grouping are part of the heartbeat's browser_state
+  if ('audible' in changeInfo || 'pinned' in changeInfo || 'groupId' in changeInfo) {
+    requestHeartbeat('tab-state');
+  }
+  if (!tab.url) return;
+  if (changeInfo.status === 'complete') {
     log(LEVELS.DEBUG, 'BG', 'onUpdated complete', { tabId, url: tab.url });
-    processTabUpdate(tabId, tab);
+    scheduleTabUpdate(tabId, 'complete');
+  } else if (changeInfo.url && tab.status !== 'loading') {
+    scheduleTabUpdate(tabId, 'url');
+  } else if (changeInfo.title && (pendingNavigations.has(tabId) || pageKey(tab.url) === lastURLMap.get(tabId))) {
+    // Titles set while the page settles, or long after it (see processTitleChange)
+    scheduleTabUpdate(tabId, 'title');
   }
 });
 
 /**
- * Process a tab to determine whether to send a notification.
- *
- * @param {number} tabId
- * @param {chrome.tabs.Tab} tab
+ * In-page navigations: history.pushState/replaceState and fragment changes in
+ * the top frame. Plain anchor jumps are ignored.
  */
-function processTabUpdate(tabId, tab) {
-  // Only operate when user is authenticated
-  if (!isAuthenticated) return;
+chrome.webNavigation.onHistoryStateUpdated.addListener(({ tabId, frameId, url }) => {
+  if (frameId !== 0) return;
+  log(LEVELS.DEBUG, 'BG', 'History state updated', { tabId, url });
+  scheduleTabUpdate(tabId, 'history');
+});
 
-  const currentURL = tab.url;
-  const lastURL = lastURLMap.get(tabId);
+chrome.webNavigation.onReferenceFragmentUpdated.addListener(({ tabId, frameId, url }) => {
+  if (frameId !== 0 || pageKey(url) === lastURLMap.get(tabId)) return;
+  log(LEVELS.DEBUG, 'BG', 'Route fragment updated', { tabId, url });
+  scheduleTabUpdate(tabId, 'fragment');
+});
 
-  if (currentURL && currentURL !== lastURL) {
-    log(LEVELS.INFO, 'BG', 'New URL detected', { tabId, currentURL, title: tab.title });
+/**
+ * Send captured page details to /active and surface any notification the
+ * backend asks for. Content already sent for the same normalised URL is
+ * skipped, uploads beyond the per-minute budget are deferred to the outbound
+ * queue, and retryable failures are queued for later delivery.
+ *
+ * @param {{title: string, url: string, content: string}} payload - Page fields,
+ *   optionally with the structured metadata returned by extractPageContent
+ */
+async function uploadPageDetails(payload) {
+  let token;
+  let body;
+  let pageUrl; // as reported, after redaction
+  let context; // dedupe key and hash, so a queued upload can finish the job later
+  let release; // gives the dedupe reservation back if the page is neither sent nor queued
+  try {
+    let deviceId;
+    [token, deviceId] = await Promise.all([
+      new Promise(resolve => getAuthToken(resolve)),
+      getOrCreateDeviceId(),
+    ]);
+    if (!token || !deviceId) return;
+    const { page, redactions } = redactPage(payload, privacySettings.customRedactions);
+    if (redactions.count) {
+      log(LEVELS.DEBUG, 'BG', 'Redacted page details', redactions);
+    }
+    pageUrl = page.url;
+    body = buildActivePayload(
+      serverCapabilities,
+      deviceId,
+      page,
+      { focused: isWindowFocused, idle_state: idleState },
+      redactions
+    );
 
-    // Update last notified URL
-    lastURLMap.set(tabId, currentURL);
+    const cacheKey = normalizeUrl(page.url);
+    const contentHash = await hashContent(`${page.title}\n${page.content}`);
+    context = { cacheKey, contentHash, url: page.url };
+    release = await claimUpload(cacheKey, contentHash);
+    if (!release) {
+      countUpload('skipped_duplicate', { url: cacheKey });
+      return;
+    }
+    if (!tryAcquireUploadSlot()) {
+      // Handled here so a storage failure does not fall through and queue the body again
+      const queued = await enqueue('active', `${API_BASE}/active`, body, token, context)
+        .then(() => true, (err) => {
+          logQueueFailure(err);
+          return false;
+        });
+      if (queued) countUpload('deferred_rate_limited', { url: cacheKey });
+      else await release();
+      return;
+    }
 
-    // Heartbeat with current URL
-    sendHeartbeat({
-      current_app: 'chrome',
-      current_page: tab.title,
-      current_url: currentURL,
-      focused: isWindowFocused,
+    const resp = await fetch(`${API_BASE}/active`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify(body),
     });
+    if (!resp.ok) {
+      throw httpError(`/active failed: ${resp.status}`, resp.status);
+    }
+    countUpload('sent', { url: cacheKey });
+    await handleActiveResponse(resp, page.url);
+  } catch (e) {
+    log(LEVELS.ERROR, 'BG', 'Failed to send page details', { error: e?.message });
+    if (body) recordOutcome(LAST_ACTIVE_KEY, { ok: false, status: e.status, url: pageUrl, error: e?.message });
+    // Page visits are worth keeping – queue them until the backend is back
+    if (body && isRetryable(e)) {
+      const queued = await enqueue('active', `${API_BASE}/active`, body, token, context)
+        .then(() => true, (err) => {
+          logQueueFailure(err);
+          return false;
+        });
+      if (!queued && release) await release();
+    } else {
+      if (release) await release();
+      if (e.status === 401) handleUnauthorized();
+    }
+  }
+}
 
-    // Also capture page content and send details to backend for AI processing
-    try {
-      chrome.scripting.executeScript(
-        {
-          target: { tabId },
-          func: () => {
-            try {
-              const title = document.title || '';
-              const url = location.href || '';
-              const content = document.body ? document.body.innerText || '' : '';
-              return { title, url, content };
-            } catch (e) {
-              return { title: document.title || '', url: location.href || '', content: '' };
-            }
-          },
-        },
-        async (results) => {
-          if (chrome.runtime.lastError) {
-            log(LEVELS.ERROR, 'BG', 'executeScript error', chrome.runtime.lastError);
-            return;
-          }
-          const result = (results && results[0] && results[0].result) || null;
-          if (!result) return;
-
-          // Limit content size to avoid large payloads
-          const maxLen = 8000;
-          const payload = {
-            title: result.title || (tab.title || ''),
-            url: result.url || currentURL,
-            content: (result.content || '').slice(0, maxLen),
-          };
-
-          try {
-            const [token, deviceId] = await Promise.all([
-              new Promise(resolve => getAuthToken(resolve)),
-              getOrCreateDeviceId(),
-            ]);
-            if (!token || !deviceId) return;
-            const resp = await fetch(`${API_BASE}/active`, {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`,
-              },
-              body: JSON.stringify({
-                device: deviceId,
-                title: payload.title,
-                url: payload.url,
-                content: payload.content,
-                focused: isWindowFocused,
-              }),
-            });
-            // Handle backend hint to show a notification
-            try {
-              const data = await resp.json();
-              if (data && data.show_notification && data.response && typeof data.response === 'string' && data.response.trim()) {
-                sendNotification('Thoth', data.response.trim());
-              }
-            } catch (parseErr) {
-              log(LEVELS.WARN, 'BG', 'Failed to parse /active response', { error: parseErr?.message });
-            }
-          } catch (e) {
-            log(LEVELS.ERROR, 'BG', 'Failed to send page details', { error: e?.message });
-          }
-        }
-      );
-    } catch (e) {
-      log(LEVELS.ERROR, 'BG', 'Failed to capture page content', { error: e?.message });
+/**
+ * Act on a successful /active reply: requested browser actions and the
+ * backend's hint to show a message.
+ * @param {Response} resp
+ * @param {string} pageUrl - The page that was uploaded, for the status view
+ */
+async function handleActiveResponse(resp, pageUrl) {
+  try {
+    const data = await resp.json();
+    recordOutcome(LAST_ACTIVE_KEY, {
+      ok: true,
+      status: resp.status,
+      url: pageUrl,
+      response: data && data.show_notification && typeof data.response === 'string' ? data.response : null,
+      actions: Array.isArray(data && data.actions) ? data.actions.length : 0,
+    });
+    if (data) handleRequestedActions(data.actions, 'active');
+    if (data && data.show_notification && data.response && typeof data.response === 'string' && data.response.trim()) {
+      // Optional extras: { id, title, url, buttons: [{title, action, url?, ...}] }
+      const extra = data.notification || {};
+      deliverMessage(extra.title || 'Thoth', data.response.trim(), {
+        id: extra.id ? `thoth-${extra.id}` : undefined,
+        serverId: extra.id,
+        url: extra.url,
+        buttons: extra.buttons,
+      });
     }
-  } else {
-    log(LEVELS.DEBUG, 'BG', 'URL unchanged – no notification', { tabId, currentURL });
+  } catch (parseErr) {
+    log(LEVELS.WARN, 'BG', 'Failed to parse /active response', { error: parseErr?.message });
   }
 }
 
 /**
- * Cleanup when a tab is removed.
+ * Point the timeline's dwell clock at the tab the user is looking at: the
+ * active tab of the focused window, unless they are idle or not tracked.
  */
-chrome.tabs.onRemoved.addListener((tabId) => {
+function syncTimelineFocus() {
+  if (!isAuthenticated || pauseState.paused || !isWindowFocused || idleState !== 'active') {
+    focusVisit(null);
+    return;
+  }
+  chrome.tabs.query({ active: true, lastFocusedWindow: true }, (tabs) => {
+    if (chrome.runtime.lastError) return;
+    focusVisit(tabs && tabs[0] ? tabs[0].id : null);
+  });
+}
+
+/**
+ * Start measuring how the user engages with the page now in a tab, and
+ * report the visit it replaces.
+ * @param {number} tabId
+ * @param {{url: string, title: string}} page - As reported to /active
+ */
+async function trackTabEngagement(tabId, page) {
+  if (!supports(serverCapabilities, FEATURES.ENGAGEMENT)) return;
+  const { visitId, previous } = await startEngagement(tabId, page);
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: trackEngagement,
+      args: [visitId],
+    });
+    // After an SPA route change the tracker hands over the final counts of the route left behind
+    const handedOver = injection && injection.result && injection.result.previous;
+    if (previous && handedOver && handedOver.visit_id === previous.visitId) previous.snapshot = handedOver;
+  } catch (e) {
+    log(LEVELS.DEBUG, 'BG', 'Engagement tracking unavailable', { tabId, error: e?.message });
+  }
+  reportEngagement(previous);
+}
+
+/**
+ * Send the summary of a finished visit. Failures are queued like /active
+ * uploads; the summary is only worth having once.
+ * @param {object|null} visit - From finishEngagement / startEngagement
+ */
+async function reportEngagement(visit) {
+  if (!visit || !supports(serverCapabilities, FEATURES.ENGAGEMENT)) return;
+  let token;
+  let body;
+  try {
+    let deviceId;
+    [token, deviceId] = await Promise.all([
+      new Promise(resolve => getAuthToken(resolve)),
+      getOrCreateDeviceId(),
+    ]);
+    if (!token || !deviceId) return;
+    body = buildEngagementPayload(serverCapabilities, deviceId, visit);
+    const resp = await fetch(`${API_BASE}/engagement`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify(body),
+    });
+    if (!resp.ok) {
+      throw httpError(`/engagement failed: ${resp.status}`, resp.status);
+    }
+    log(LEVELS.DEBUG, 'BG', 'Engagement reported', { visitId: visit.visitId, ...body.engagement });
+  } catch (e) {
+    log(LEVELS.ERROR, 'BG', 'Failed to report engagement', { error: e?.message });
+    if (body && isRetryable(e)) {
+      await enqueue('engagement', `${API_BASE}/engagement`, body, token).catch(logQueueFailure);
+    } else if (e.status === 401) {
+      handleUnauthorized();
+    }
+  }
+}
+
+/**
+ * Process a tab to determine whether to send a notification.
+ *
+ * @param {number} tabId
+ * @param {chrome.tabs.Tab} tab
+ */
+function processTabUpdate(tabId, tab) {
+  // Only operate when user is authenticated and has not paused tracking
+  if (!isAuthenticated || pauseState.paused) return;
+  // Nobody is reading while idle or locked; the tab is picked up again on return
+  if (idleState !== 'active') {
+    log(LEVELS.DEBUG, 'BG', 'User not active – skipping capture', { tabId, idleState });
+    return;
+  }
+
+  const currentURL = tab.url;
+  const lastURL = lastURLMap.get(tabId);
+
+  if (currentURL && pageKey(currentURL) !== lastURL) {
+    // Update last notified URL
+    lastURLMap.set(tabId, pageKey(currentURL));
+
+    const level = resolveCaptureLevel(privacySettings, tab);
+    if (level === CAPTURE_LEVELS.BLOCK) {
+      log(LEVELS.DEBUG, 'BG', 'Tab excluded by privacy rules', { tabId });
+      closeVisit(tabId);
+      finishEngagement(tabId).then(reportEngagement);
+      return;
+    }
+    const visible = applyCaptureLevel(level, tab);
+    log(LEVELS.INFO, 'BG', 'New URL detected', { tabId, level, currentURL: visible.url, title: visible.title });
+
+    // Keep a local copy of what is reported, for the timeline page
+    const { page: recorded } = redactPage(
+      { title: visible.title || '', url: visible.url || '', content: '' },
+      privacySettings.customRedactions
+    );
+    recordVisit(tabId, recorded);
+    if (tab.active) syncTimelineFocus();
+    // Reading behaviour is page content too: only measured where content is captured
+    if (level === CAPTURE_LEVELS.FULL) {
+      trackTabEngagement(tabId, recorded);
+    } else {
+      finishEngagement(tabId).then(reportEngagement);
+    }
+
+    // The active tab's page changed – tell the backend without waiting for the keep-alive
+    if (tab.active) requestHeartbeat('navigation');
+
+    capturePage(tabId, tab, level);
+  } else {
+    log(LEVELS.DEBUG, 'BG', 'URL unchanged – no notification', { tabId, currentURL });
+  }
+}
+
+/**
+ * Re-report the tab's current page after its title changed once the page had
+ * settled (SPAs often set it late). The upload goes through the dedupe path,
+ * so only a real change reaches the backend. A different page is handled as
+ * a navigation.
+ *
+ * @param {number} tabId
+ * @param {chrome.tabs.Tab} tab
+ */
+function processTitleChange(tabId, tab) {
+  if (!tab.url || pageKey(tab.url) !== lastURLMap.get(tabId)) {
+    processTabUpdate(tabId, tab);
+    return;
+  }
+  if (!isAuthenticated || pauseState.paused || idleState !== 'active') return;
+  const level = resolveCaptureLevel(privacySettings, tab);
+  if (level === CAPTURE_LEVELS.BLOCK) return;
+  log(LEVELS.DEBUG, 'BG', 'Title changed', { tabId, level });
+  capturePage(tabId, tab, level);
+}
+
+/**
+ * Send a tab's page to /active at the given capture level: title and URL
+ * only, or with the extracted content.
+ *
+ * @param {number} tabId
+ * @param {chrome.tabs.Tab} tab
+ * @param {string} level - One of CAPTURE_LEVELS, not BLOCK
+ */
+function capturePage(tabId, tab, level) {
+  const currentURL = tab.url;
+  // Title/URL-only sites never have their content read
+  if (level !== CAPTURE_LEVELS.FULL) {
+    const visible = applyCaptureLevel(level, tab);
+    uploadPageDetails({ title: visible.title || '', url: visible.url || '', content: '' });
+    return;
+  }
+
+  // Also capture page content and send details to backend for AI processing
+  try {
+    chrome.scripting.executeScript(
+      {
+        target: { tabId },
+        func: extractPageContent,
+        args: [maxContentLength],
+      },
+      async (results) => {
+        if (chrome.runtime.lastError) {
+          log(LEVELS.ERROR, 'BG', 'executeScript error', chrome.runtime.lastError);
+          return;
+        }
+        const result = (results && results[0] && results[0].result) || null;
+        if (!result) return;
+
+        // The extractor truncates on paragraph boundaries; the slice is a backstop
+        const payload = {
+          ...result,
+          title: result.title || (tab.title || ''),
+          url: result.url || currentURL,
+          content: (result.content || '').slice(0, maxContentLength),
+        };
+
+        uploadPageDetails(payload);
+      }
+    );
+  } catch (e) {
+    log(LEVELS.ERROR, 'BG', 'Failed to capture page content', { error: e?.message });
+  }
+}
+
+/**
+ * Cleanup when a tab is removed.
+ */
+chrome.tabs.onRemoved.addListener((tabId) => {
   log(LEVELS.DEBUG, 'BG', 'Tab removed – clearing cache', { tabId });
   lastURLMap.delete(tabId);
+  clearChatHistory(tabId);
+  closeVisit(tabId);
+  finishEngagement(tabId).then(reportEngagement);
+  clearTimeout(pendingNavigations.get(tabId));
+  pendingNavigations.delete(tabId);
+  requestHeartbeat('tab-count');
+});
+
+chrome.tabs.onCreated.addListener(() => {
+  requestHeartbeat('tab-count');
+});
+
+chrome.windows.onCreated.addListener(() => {
+  requestHeartbeat('window-count');
+});
+
+chrome.windows.onRemoved.addListener(() => {
+  requestHeartbeat('window-count');
 });
 
 // Optional: clear cache when extension is reloaded to avoid stale data
@@ -473,7 +1446,22 @@ chrome.runtime.onInstalled.addListener(() => {
 // Alarm handler for periodic heartbeat
 chrome.alarms.onAlarm.addListener((alarm) => {
   if (alarm.name === HEARTBEAT_ALARM) {
-    heartbeatWithActiveTab();
+    // The worker may have been suspended and lost its timer; send if overdue
+    if (isAuthenticated && Date.now() - lastHeartbeatAt >= keepAliveDelayMs) {
+      heartbeatWithActiveTab('keep-alive');
+    }
+  } else if (alarm.name === QUEUE_ALARM) {
+    replayQueue();
+  } else if (alarm.name === TOKEN_REFRESH_ALARM) {
+    getAuthToken(() => {});
+  } else if (alarm.name === PAUSE_ALARM) {
+    refreshPauseState();
+  } else if (alarm.name === PUSH_ALARM) {
+    syncPushChannel();
+  } else if (alarm.name.startsWith(REMINDER_ALARM_PREFIX)) {
+    fireReminder(alarm.name).catch((err) => {
+      log(LEVELS.ERROR, 'BG', 'Failed to show reminder', { alarm: alarm.name, error: err?.message });
+    });
   }
 });
 
@@ -481,10 +1469,525 @@ chrome.alarms.onAlarm.addListener((alarm) => {
 chrome.windows.onFocusChanged.addListener((windowId) => {
   // When focus goes to another app, Chrome reports WINDOW_ID_NONE
   isWindowFocused = windowId !== chrome.windows.WINDOW_ID_NONE;
+  if (isWindowFocused) lastFocusedWindowId = windowId;
   log(LEVELS.INFO, 'BG', 'Window focus changed', { isWindowFocused, windowId });
-  // Send a lightweight heartbeat immediately with updated focus state
-  sendHeartbeat({ current_app: 'chrome', focused: isWindowFocused }).catch(() => {});
+  // Send a heartbeat immediately with updated focus state
+  requestHeartbeat('focus');
+  syncTimelineFocus();
   // Also notify /active immediately with minimal payload to suppress AI/SMS promptly
+  sendPresencePing();
+});
+
+/**
+ * POST a user-initiated action (context menu, chat) and return the parsed
+ * response. Unlike tracking uploads these are not queued by default: an
+ * answer that arrives hours later is of no use.
+ * @param {string} path - e.g. '/ask'
+ * @param {object} fields - See buildActionPayload
+ * @param {{ queueAs?: string }} [options] - Queue kind to retry under when the
+ *   backend is unreachable; by default failures are thrown
+ * @returns {Promise<object>}
+ */
+async function postAction(path, fields, { queueAs = null } = {}) {
+  const [token, deviceId] = await Promise.all([
+    new Promise(resolve => getAuthToken(resolve)),
+    getOrCreateDeviceId(),
+  ]);
+  if (!token) throw new Error('Not logged in');
+  const url = `${API_BASE}${path}`;
+  const body = buildActionPayload(serverCapabilities, deviceId, fields);
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify(body),
+    });
+    if (response.status === 401) handleUnauthorized();
+    if (!response.ok) {
+      throw httpError(`${path} failed: ${response.status}`, response.status);
+    }
+    return await response.json().catch(() => ({}));
+  } catch (err) {
+    if (queueAs && isRetryable(err)) {
+      await enqueue(queueAs, url, body, token);
+      return { queued: true };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Title and URL of the page a menu was opened on, scrubbed of PII. Explicit
+ * actions are the user's call, so capture levels do not apply; redaction does.
+ * @param {chrome.tabs.Tab} tab
+ * @param {string} pageUrl - From the click info; the tab URL may be missing
+ * @returns {{title: string, url: string}}
+ */
+function describeActionPage(tab, pageUrl) {
+  const custom = compileCustomPatterns(privacySettings.customRedactions);
+  return {
+    title: redactText((tab && tab.title) || '', custom),
+    url: redactUrl(pageUrl || (tab && tab.url) || '', custom),
+  };
+}
+
+async function extractForAction(tabId) {
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: extractPageContent,
+    args: [maxContentLength],
+  });
+  if (!injection || !injection.result) throw new Error('Could not read the page');
+  return redactPage(injection.result, privacySettings.customRedactions).page;
+}
+
+function showAnswer(title, data, fallback) {
+  const answer = data && typeof data.response === 'string' && data.response.trim();
+  if (answer) {
+    deliverMessage(title, answer);
+  } else {
+    sendNotification(title, fallback);
+  }
+}
+
+/**
+ * Run the action behind a context menu entry.
+ * @param {chrome.contextMenus.OnClickData} info
+ * @param {chrome.tabs.Tab} tab
+ */
+async function handleMenuClick(info, tab) {
+  log(LEVELS.INFO, 'BG', 'Context menu clicked', { menuItemId: info.menuItemId });
+  const custom = compileCustomPatterns(privacySettings.customRedactions);
+  try {
+    switch (info.menuItemId) {
+      case MENU_IDS.ASK_SELECTION: {
+        const data = await postAction('/ask', {
+          selection: redactText(info.selectionText || '', custom),
+          page: describeActionPage(tab, info.pageUrl),
+        });
+        showAnswer('Thoth', data, 'No answer received');
+        break;
+      }
+      case MENU_IDS.SUMMARIZE_PAGE: {
+        const page = await extractForAction(tab.id);
+        const data = await postAction('/summarize', { page });
+        showAnswer(`Thoth – ${page.title || 'summary'}`, data, 'No summary received');
+        break;
+      }
+      case MENU_IDS.SAVE_LINK: {
+        const data = await postAction('/links', {
+          link_url: redactUrl(info.linkUrl, custom),
+          ...(info.selectionText && { link_text: redactText(info.selectionText, custom) }),
+          page: describeActionPage(tab, info.pageUrl),
+        }, { queueAs: 'links' });
+        sendNotification('Thoth', data.queued ? 'Link will be saved when Thoth is reachable' : 'Link saved');
+        break;
+      }
+      case MENU_IDS.NEVER_TRACK: {
+        const pattern = await blockSite(info.pageUrl || tab.url);
+        sendNotification('Thoth', pattern ? `${pattern} will no longer be tracked` : 'This site is already excluded');
+        break;
+      }
+      default:
+        break;
+    }
+  } catch (err) {
+    log(LEVELS.ERROR, 'BG', 'Context menu action failed', { menuItemId: info.menuItemId, error: err?.message });
+    sendNotification('Thoth – something went wrong', err?.message || 'The action failed');
+  }
+}
+
+chrome.contextMenus.onClicked.addListener(handleMenuClick);
+
+/**
+ * Bring a tab showing `url` to the front, or open one.
+ * @param {string} url
+ */
+async function openOrFocusTab(url) {
+  const existing = await findTabByUrl(url);
+  if (existing) {
+    await chrome.tabs.update(existing.id, { active: true });
+    await chrome.windows.update(existing.windowId, { focused: true });
+  } else {
+    await chrome.tabs.create({ url });
+  }
+}
+
+/**
+ * Rate a Thoth message and tell the backend, which uses it to tune what it
+ * sends. Ratings made offline are queued.
+ * @param {string} notificationId
+ * @param {'up'|'down'} rating
+ */
+async function sendNotificationFeedback(notificationId, rating) {
+  const entry = await setNotificationFeedback(notificationId, rating);
+  if (!entry || !entry.serverId) return;
+  await postAction(`/notifications/${encodeURIComponent(entry.serverId)}/feedback`, { rating }, { queueAs: 'feedback' });
+  log(LEVELS.INFO, 'BG', 'Notification feedback sent', { serverId: entry.serverId, rating });
+}
+
+/**
+ * A Thoth message was clicked, as a notification or in the page overlay.
+ * @param {string} notificationId
+ */
+async function handleNotificationClick(notificationId) {
+  const entry = await findNotification(notificationId);
+  if (entry && entry.url) {
+    openOrFocusTab(entry.url);
+  }
+  chrome.notifications.clear(notificationId);
+}
+
+/**
+ * One of a Thoth message's buttons was clicked.
+ * @param {string} notificationId
+ * @param {number} buttonIndex
+ */
+async function handleNotificationButton(notificationId, buttonIndex) {
+  const pending = await takePendingAction(notificationId);
+  if (pending) {
+    chrome.notifications.clear(notificationId);
+    await answerActionPrompt(pending, buttonIndex === 0);
+    return;
+  }
+  const entry = await findNotification(notificationId);
+  const button = entry && entry.buttons[buttonIndex];
+  if (!button) return;
+  log(LEVELS.INFO, 'BG', 'Notification button clicked', { notificationId, action: button.action });
+  chrome.notifications.clear(notificationId);
+  try {
+    switch (button.action) {
+      case NOTIFICATION_ACTIONS.OPEN_URL:
+        if (button.url || entry.url) await openOrFocusTab(button.url || entry.url);
+        break;
+      case NOTIFICATION_ACTIONS.DISMISS:
+        break;
+      case NOTIFICATION_ACTIONS.FEEDBACK:
+        await sendNotificationFeedback(notificationId, button.value);
+        break;
+      default: {
+        // Server-defined actions such as 'snooze_topic' are handled by the server
+        if (!entry.serverId) break;
+        const { title, ...action } = button;
+        await postAction(`/notifications/${encodeURIComponent(entry.serverId)}/actions`, action);
+        break;
+      }
+    }
+  } catch (err) {
+    log(LEVELS.ERROR, 'BG', 'Notification action failed', { action: button.action, error: err?.message });
+  }
+}
+
+chrome.notifications.onClicked.addListener(handleNotificationClick);
+chrome.notifications.onButtonClicked.addListener(handleNotificationButton);
+
+// Dismissing an action prompt counts as "Deny"
+chrome.notifications.onClosed.addListener(async (notificationId, byUser) => {
+  if (!byUser) return;
+  const pending = await takePendingAction(notificationId);
+  if (pending) await answerActionPrompt(pending, false);
+});
+
+const ACTION_PROMPT_PREFIX = 'thoth-action-';
+const ACTION_PROMPT_BUTTONS = [
+  { title: 'Allow', action: 'allow' },
+  { title: 'Deny', action: 'deny' },
+];
+
+async function runAction(action, { source, consent }) {
+  try {
+    await executeAction(action);
+    await logAction(action, ACTION_STATUS.EXECUTED, { source, consent });
+  } catch (err) {
+    await logAction(action, ACTION_STATUS.FAILED, { source, consent, error: err?.message || 'Action failed' });
+  }
+}
+
+/**
+ * Ask the user whether an action may run; the answer comes back through
+ * the notification buttons or the popup's action log.
+ */
+async function promptForAction(action, source) {
+  const promptId = `${ACTION_PROMPT_PREFIX}${action.id}`;
+  await savePendingAction(promptId, action);
+  await logAction(action, ACTION_STATUS.PENDING, { source });
+  const reason = action.reason ? `\n${action.reason}` : '';
+  sendNotification('Thoth would like to…', `${describeAction(action)}${reason}`, {
+    id: promptId,
+    buttons: ACTION_PROMPT_BUTTONS,
+  });
+}
+
+/**
+ * @param {{action: object, expired: boolean}} pending - From takePendingAction
+ * @param {boolean} approved
+ */
+async function answerActionPrompt({ action, expired }, approved) {
+  if (expired) {
+    await logAction(action, ACTION_STATUS.EXPIRED);
+  } else if (!approved) {
+    await logAction(action, ACTION_STATUS.DENIED);
+  } else {
+    await runAction(action, { source: 'prompt', consent: 'approved' });
+  }
+}
+
+let actionsInFlight = Promise.resolve(); // responses are handled one at a time, so repeats are caught
+
+/**
+ * Act on the browser actions a server response asks for, within the
+ * whitelist and the user's consent settings.
+ * @param {Array<object>|undefined} requested - `actions` of the response
+ * @param {'heartbeat'|'active'} source
+ */
+function handleRequestedActions(requested, source) {
+  if (!Array.isArray(requested) || !requested.length) return;
+  actionsInFlight = actionsInFlight
+    .then(() => processRequestedActions(requested, source))
+    .catch((err) => log(LEVELS.ERROR, 'BG', 'Failed to handle requested actions', { error: err?.message }));
+}
+
+async function processRequestedActions(requested, source) {
+  const consent = await getActionConsent();
+  for (const raw of requested) {
+    const { action, error } = validateAction(raw);
+    // Servers repeat an action until they learn its outcome
+    if (action.id && await isKnownAction(action.id)) continue;
+    if (error) {
+      await logAction(action, ACTION_STATUS.INVALID, { source, error });
+    } else if (consent[action.type] === CONSENT_LEVELS.NEVER) {
+      await logAction(action, ACTION_STATUS.BLOCKED, { source });
+    } else if (consent[action.type] === CONSENT_LEVELS.ASK) {
+      await promptForAction(action, source);
+    } else {
+      await runAction(action, { source, consent: CONSENT_LEVELS.ALWAYS });
+    }
+  }
+}
+
+/**
+ * The page a chat question is about, captured like processTabUpdate does:
+ * the tab's privacy level decides what is attached, and it is redacted.
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<object|null>} null when the site is excluded
+ */
+async function capturePageForChat(tab) {
+  const level = resolveCaptureLevel(privacySettings, tab);
+  if (level === CAPTURE_LEVELS.BLOCK) return null;
+  if (level === CAPTURE_LEVELS.FULL) {
+    try {
+      return await extractForAction(tab.id);
+    } catch (err) {
+      // Pages still loading or without a DOM fall back to title and URL
+      log(LEVELS.WARN, 'BG', 'Chat page extraction failed', { error: err?.message });
+    }
+  }
+  const visible = applyCaptureLevel(level, tab);
+  return redactPage({ title: visible.title || '', url: visible.url || '', content: '' }, privacySettings.customRedactions).page;
+}
+
+/**
+ * Answer a chat question, streaming the reply back over the popup's port.
+ * The conversation is saved even if the popup closes halfway.
+ * @param {chrome.runtime.Port} port
+ * @param {{tabId: number, question: string}} request
+ * @param {AbortSignal} signal - Aborted when the popup disconnects
+ */
+async function answerChat(port, { tabId, question }, signal) {
+  const post = (message) => {
+    if (!signal.aborted) port.postMessage(message);
+  };
+  let answer = '';
+  try {
+    const [token, deviceId, tab, history] = await Promise.all([
+      new Promise(resolve => getAuthToken(resolve)),
+      getOrCreateDeviceId(),
+      chrome.tabs.get(tabId),
+      getChatHistory(tabId),
+    ]);
+    if (!token) throw new Error('Not logged in');
+
+    const page = await capturePageForChat(tab);
+    post({ type: 'context', attached: !!page, title: page?.title || '' });
+    await appendChatMessage(tabId, { role: 'user', content: question });
+
+    // The history is kept verbatim for the popup; everything sent is redacted
+    const patterns = compileCustomPatterns(privacySettings.customRedactions);
+    const body = buildActionPayload(serverCapabilities, deviceId, {
+      question: redactText(question, patterns),
+      stream: true,
+      history: history.slice(-MAX_CONTEXT_MESSAGES).map(({ role, content }) => ({
+        role,
+        content: redactText(content, patterns),
+      })),
+      ...(page && { page }),
+    });
+    const response = await fetch(`${API_BASE}/ask`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream, application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+    if (response.status === 401) handleUnauthorized();
+    if (!response.ok) throw httpError(`/ask failed: ${response.status}`, response.status);
+
+    for await (const delta of readAnswerStream(response)) {
+      answer += delta;
+      post({ type: 'delta', text: delta });
+    }
+    post({ type: 'done' });
+  } catch (err) {
+    if (!signal.aborted) {
+      log(LEVELS.ERROR, 'BG', 'Chat request failed', { error: err?.message });
+      post({ type: 'error', message: err?.message || 'Request failed' });
+    }
+  } finally {
+    if (answer) await appendChatMessage(tabId, { role: 'assistant', content: answer });
+  }
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== CHAT_PORT_NAME) return;
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => controller.abort());
+  port.onMessage.addListener((message) => {
+    if (message?.type === 'ask') answerChat(port, message, controller.signal);
+  });
+});
+
+/**
+ * Toolbar badge: whether this browser is being tracked right now.
+ */
+function updateBadge() {
+  if (!isAuthenticated) {
+    chrome.action.setBadgeText({ text: '' });
+    chrome.action.setTitle({ title: 'Thoth' });
+    return;
+  }
+  if (pauseState.paused) {
+    const until = pauseState.until ? ` until ${new Date(pauseState.until).toLocaleString()}` : '';
+    const why = pauseState.reason === PAUSE_REASONS.SCHEDULE ? 'outside tracking schedule' : 'paused';
+    chrome.action.setBadgeText({ text: 'OFF' });
+    chrome.action.setBadgeBackgroundColor({ color: '#888888' });
+    chrome.action.setTitle({ title: `Thoth – ${why}${until}` });
+  } else {
+    chrome.action.setBadgeText({ text: 'ON' });
+    chrome.action.setBadgeBackgroundColor({ color: '#4CAF50' });
+    chrome.action.setTitle({ title: 'Thoth – tracking' });
+  }
+}
+
+/**
+ * Tell the backend once that tracking is paused, so it can tell a deliberate
+ * gap from a dead device, then stop heartbeats until the pause ends.
+ * @returns {Promise<boolean>} Whether the pause has been reported (or queued
+ *   for delivery); false means it should be tried again
+ */
+async function announcePause() {
+  const signature = `${pauseState.reason}:${pauseState.until}`;
+  const { [PAUSE_ANNOUNCED_KEY]: announced } = await chrome.storage.local.get(PAUSE_ANNOUNCED_KEY);
+  // Re-evaluations (alarms, worker restarts) must not repeat the announcement
+  if (announced?.signature === signature && announced.reported) return true;
+
+  if (announced?.signature !== signature) {
+    await chrome.storage.local.set({ [PAUSE_ANNOUNCED_KEY]: { signature, reported: false } });
+    // Resuming starts over with a full snapshot
+    clearHeartbeat();
+    lastURLMap.clear();
+    closeAllVisits();
+    finishAllEngagement().then((visits) => visits.forEach(reportEngagement));
+    log(LEVELS.INFO, 'BG', 'Tracking paused', { reason: pauseState.reason, until: pauseState.until });
+  }
+
+  try {
+    const response = await sendHeartbeat({
+      focused: isWindowFocused,
+      idle_state: idleState,
+      paused: {
+        reason: pauseState.reason,
+        until: pauseState.until ? new Date(pauseState.until).toISOString() : null,
+      },
+    });
+    // Skipped for want of a token
+    if (response === undefined) return false;
+  } catch (err) {
+    // Retryable failures were queued by sendHeartbeat and are delivered later
+    if (!isRetryable(err)) {
+      log(LEVELS.WARN, 'BG', 'Pause not reported – retrying later', { error: err?.message });
+      return false;
+    }
+  }
+  await chrome.storage.local.set({ [PAUSE_ANNOUNCED_KEY]: { signature, reported: true } });
+  return true;
+}
+
+async function resumeAfterPause() {
+  await chrome.storage.local.remove(PAUSE_ANNOUNCED_KEY);
+  log(LEVELS.INFO, 'BG', 'Tracking resumed');
+  scheduleHeartbeat();
+  heartbeatWithActiveTab('resumed');
+  chrome.tabs.query({ active: true, lastFocusedWindow: true }, (tabs) => {
+    if (chrome.runtime.lastError || !tabs || !tabs[0]) return;
+    processTabUpdate(tabs[0].id, tabs[0]);
+  });
+}
+
+let pendingPauseRefresh = Promise.resolve(); // evaluations run one at a time
+
+/**
+ * Re-evaluate the snooze and the schedule, and wake up again when either
+ * next changes. Never rejects, so callers need not wait for it.
+ * @returns {Promise<void>}
+ */
+function refreshPauseState() {
+  pendingPauseRefresh = pendingPauseRefresh.then(evaluatePause).catch((err) => {
+    log(LEVELS.ERROR, 'BG', 'Failed to apply pause state', { error: err?.message });
+  });
+  return pendingPauseRefresh;
+}
+
+async function evaluatePause() {
+  const { next, ...state } = await getPauseState();
+  pauseState = state;
+  updateBadge();
+  let wakeAt = next;
+
+  if (isAuthenticated && pauseState.paused) {
+    const reported = await announcePause();
+    if (!reported) wakeAt = Math.min(next || Infinity, Date.now() + PAUSE_RETRY_MS);
+  } else if (isAuthenticated) {
+    // Covers pauses that ended while the service worker was asleep
+    const { [PAUSE_ANNOUNCED_KEY]: announced } = await chrome.storage.local.get(PAUSE_ANNOUNCED_KEY);
+    if (announced) await resumeAfterPause();
+  }
+
+  if (wakeAt) {
+    chrome.alarms.create(PAUSE_ALARM, { when: wakeAt });
+  } else {
+    chrome.alarms.clear(PAUSE_ALARM);
+  }
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if ((areaName === 'local' && changes[PAUSED_UNTIL_KEY]) || (areaName === 'sync' && changes[SCHEDULE_KEY])) {
+    refreshPauseState();
+  }
+});
+
+/**
+ * Notify /active of the user's presence (window focus and idle state) with a
+ * minimal payload so the backend can hold back AI/SMS nudges promptly.
+ * Best effort: a missed ping is superseded by the next heartbeat.
+ */
+function sendPresencePing() {
+  if (pauseState.paused) return;
   (async () => {
     try {
       const [token, deviceId] = await Promise.all([
@@ -498,10 +2001,54 @@ chrome.windows.onFocusChanged.addListener((windowId) => {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`,
         },
-        body: JSON.stringify({ device: deviceId, focused: isWindowFocused }),
+        body: JSON.stringify(
+          buildPresencePayload(serverCapabilities, deviceId, { focused: isWindowFocused, idle_state: idleState })
+        ),
       });
     } catch (e) {
       // best effort; ignore
     }
   })();
+}
+
+/**
+ * Apply a new idle state: report it right away and, when the user comes
+ * back, capture the tab they return to since capture was paused meanwhile.
+ * @param {'active'|'idle'|'locked'} state
+ */
+function handleIdleStateChange(state) {
+  if (state === idleState) return;
+  const wasActive = idleState === 'active';
+  idleState = state;
+  log(LEVELS.INFO, 'BG', 'Idle state changed', { idleState });
+  requestHeartbeat('idle-state');
+  sendPresencePing();
+  syncTimelineFocus();
+
+  if (!wasActive && state === 'active') {
+    chrome.tabs.query({ active: true, lastFocusedWindow: true }, (tabs) => {
+      if (chrome.runtime.lastError || !tabs || !tabs[0]) return;
+      processTabUpdate(tabs[0].id, tabs[0]);
+    });
+  }
+}
+
+// Detect idle / locked screen with the user's configured threshold
+async function initIdleDetection() {
+  const threshold = await getIdleThreshold();
+  chrome.idle.setDetectionInterval(threshold);
+  chrome.idle.queryState(threshold, (state) => {
+    idleState = state;
+    log(LEVELS.DEBUG, 'BG', 'Initial idle state', { idleState, threshold });
+  });
+}
+
+chrome.idle.onStateChanged.addListener(handleIdleStateChange);
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes[IDLE_THRESHOLD_KEY]) {
+    initIdleDetection();
+  }
 });
+
+initIdleDetection();
@@ -0,0 +1,166 @@
+/**
+ * Stand-in OpenID Connect identity provider for testing the extension's SSO
+ * login locally. Implements discovery, an auto-filled sign-in page, and the
+ * authorization-code (PKCE S256) and refresh-token grants.
+ *
+ * Tokens are unsigned JWTs (alg "none") – for local development only, and
+ * only useful against a backend that accepts them.
+ *
+ *   node dev/mock-idp.mjs            # listens on http://localhost:7051
+ *   PORT=8000 node dev/mock-idp.mjs
+ *
+ * Opt in from the popup's server settings by adding a server with
+ * "Single sign-on (OIDC)", issuer http://localhost:7051 and client ID
+ * thoth-extension. The built-in Local server keeps password login.
+ *
+ * Only the extension's chrome.identity redirect URIs
+ * (https://<extension-id>.chromiumapp.org/...) are accepted; set
+ * REDIRECT_URIS to a comma-separated list to pin the exact ones.
+ */
+import { createHash, randomBytes } from 'node:crypto';
+import { createServer } from 'node:http';
+
+const PORT = Number(process.env.PORT) || 7051;
+const ISSUER = `http://localhost:${PORT}`;
+const ACCESS_TOKEN_TTL_S = Number(process.env.ACCESS_TOKEN_TTL_S) || 300;
+const REDIRECT_URIS = (process.env.REDIRECT_URIS || '').split(',').map((uri) => uri.trim()).filter(Boolean);
+
+const codes = new Map(); // code -> { clientId, redirectUri, challenge, username }
+const refreshTokens = new Map(); // refresh token -> username
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+const randomToken = () => b64url(randomBytes(24));
+
+function jwt(claims) {
+  const header = b64url(JSON.stringify({ alg: 'none', typ: 'JWT' }));
+  return `${header}.${b64url(JSON.stringify(claims))}.`;
+}
+
+function issueTokens(username, clientId) {
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { iss: ISSUER, sub: username, aud: clientId, iat: now, exp: now + ACCESS_TOKEN_TTL_S };
+  const refreshToken = randomToken();
+  refreshTokens.set(refreshToken, username);
+  return {
+    token_type: 'Bearer',
+    access_token: jwt({ ...claims, scope: 'openid profile email' }),
+    id_token: jwt({ ...claims, email: `${username}@example.test`, name: username }),
+    refresh_token: refreshToken,
+    expires_in: ACCESS_TOKEN_TTL_S,
+  };
+}
+
+function send(res, status, body, headers = {}) {
+  const isJson = typeof body !== 'string';
+  res.writeHead(status, {
+    'Content-Type': isJson ? 'application/json' : 'text/html; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    ...headers,
+  });
+  res.end(isJson ? JSON.stringify(body) : body);
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(data)));
+  });
+}
+
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+function signInPage(query) {
+  const hidden = [...query].map(([k, v]) => `<input type="hidden" name="${escapeHtml(k)}" value="${escapeHtml(v)}">`).join('');
+  return `<!DOCTYPE html><title>Mock IdP</title>
+<form method="post" action="/authorize" style="font-family:sans-serif;max-width:280px;margin:40px auto">
+  <h2>Mock IdP sign-in</h2>${hidden}
+  <input name="username" value="dev" style="width:100%;margin-bottom:8px">
+  <button name="decision" value="allow">Sign in</button>
+  <button name="decision" value="deny">Deny</button>
+</form>`;
+}
+
+/**
+ * The redirect URI as a URL when it is one this provider may send codes to.
+ * @param {string|null} value
+ * @returns {URL|null}
+ */
+function registeredRedirect(value) {
+  if (!value) return null;
+  if (REDIRECT_URIS.length) return REDIRECT_URIS.includes(value) ? new URL(value) : null;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' && url.hostname.endsWith('.chromiumapp.org') ? url : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+async function handleAuthorizePost(req, res) {
+  const form = await readBody(req);
+  const redirect = registeredRedirect(form.get('redirect_uri'));
+  if (!redirect) return send(res, 400, { error: 'invalid_request', error_description: 'unregistered redirect_uri' });
+  if (form.get('state')) redirect.searchParams.set('state', form.get('state'));
+  if (form.get('decision') !== 'allow') {
+    redirect.searchParams.set('error', 'access_denied');
+  } else {
+    const code = randomToken();
+    codes.set(code, {
+      clientId: form.get('client_id'),
+      redirectUri: form.get('redirect_uri'),
+      challenge: form.get('code_challenge'),
+      username: form.get('username') || 'dev',
+    });
+    redirect.searchParams.set('code', code);
+  }
+  send(res, 302, '', { Location: redirect.toString() });
+}
+
+async function handleToken(req, res) {
+  const form = await readBody(req);
+  const grant = form.get('grant_type');
+  if (grant === 'authorization_code') {
+    const entry = codes.get(form.get('code'));
+    codes.delete(form.get('code'));
+    const verifier = form.get('code_verifier') || '';
+    const challenge = b64url(createHash('sha256').update(verifier).digest());
+    if (!entry || entry.redirectUri !== form.get('redirect_uri') || entry.challenge !== challenge) {
+      return send(res, 400, { error: 'invalid_grant' });
+    }
+    return send(res, 200, issueTokens(entry.username, entry.clientId));
+  }
+  if (grant === 'refresh_token') {
+    const username = refreshTokens.get(form.get('refresh_token'));
+    if (!username) return send(res, 400, { error: 'invalid_grant' });
+    refreshTokens.delete(form.get('refresh_token'));
+    return send(res, 200, issueTokens(username, form.get('client_id')));
+  }
+  return send(res, 400, { error: 'unsupported_grant_type' });
+}
+
+createServer((req, res) => {
+  const url = new URL(req.url, ISSUER);
+  console.log(req.method, url.pathname);
+  if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+    return send(res, 200, {
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      response_types_supported: ['code'],
+      grant_types_supported: ['authorization_code', 'refresh_token'],
+      code_challenge_methods_supported: ['S256'],
+    });
+  }
+  if (req.method === 'GET' && url.pathname === '/authorize') {
+    if (!registeredRedirect(url.searchParams.get('redirect_uri'))) {
+      return send(res, 400, { error: 'invalid_request', error_description: 'unregistered redirect_uri' });
+    }
+    return send(res, 200, signInPage(url.searchParams));
+  }
+  if (req.method === 'POST' && url.pathname === '/authorize') return handleAuthorizePost(req, res);
+  if (req.method === 'POST' && url.pathname === '/token') return handleToken(req, res);
+  return send(res, 404, { error: 'not_found' });
+}).listen(PORT, () => {
+  console.log(`Mock IdP listening on ${ISSUER}`);
+});
@@ -0,0 +1,215 @@
+/**
+ * Stand-in push server for testing the extension's push channel locally
+ * (see utils/push.js for the wire format). Accepts any token except expired
+ * JWTs and the literal "bad", which are rejected with close code 4001.
+ *
+ *   node dev/mock-push.mjs            # ws://localhost:7052/push
+ *   PORT=8000 node dev/mock-push.mjs
+ *
+ * Point the extension at it by having the backend's GET /capabilities
+ * include "push" in `features` and "push_url": "ws://localhost:7052/push".
+ * Plain ws:// on another port is only accepted because both are on loopback.
+ * Then send messages to every connected browser with
+ *
+ *   curl -X POST localhost:7052/send -d '{"title":"Hi","message":"Hello","url":"https://example.com"}'
+ *
+ * or by typing a line into this process. GET /clients lists connections.
+ */
+import { createHash, randomUUID } from 'node:crypto';
+import { createServer } from 'node:http';
+import { createInterface } from 'node:readline';
+
+const PORT = Number(process.env.PORT) || 7052;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { TEXT: 0x1, CLOSE: 0x8, PING: 0x9, PONG: 0xa };
+
+const clients = new Set(); // { socket, deviceId, connectedAt, ready }
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+  res.end(JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(data || '{}'));
+      } catch (_) {
+        resolve(null);
+      }
+    });
+  });
+}
+
+// ---- Minimal WebSocket framing (RFC 6455): unfragmented frames only ----
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(length, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeBigUInt64BE(BigInt(length), 2);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Split complete frames off the front of `buffer`.
+ * @returns {{frames: Array<{opcode: number, payload: Buffer}>, rest: Buffer}}
+ */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let cursor = offset + 2;
+    if (length === 126) {
+      if (buffer.length < cursor + 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length < cursor + 8) break;
+      length = Number(buffer.readBigUInt64BE(cursor));
+      cursor += 8;
+    }
+    const maskEnd = cursor + (masked ? 4 : 0);
+    if (buffer.length < maskEnd + length) break;
+    const payload = Buffer.from(buffer.subarray(maskEnd, maskEnd + length));
+    if (masked) {
+      const mask = buffer.subarray(cursor, maskEnd);
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+    frames.push({ opcode, payload });
+    offset = maskEnd + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+function sendJson(client, frame) {
+  client.socket.write(encodeFrame(OPCODES.TEXT, Buffer.from(JSON.stringify(frame))));
+}
+
+function closeClient(client, code, reason = '') {
+  const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+  payload.writeUInt16BE(code, 0);
+  payload.write(reason, 2);
+  client.socket.end(encodeFrame(OPCODES.CLOSE, payload));
+  clients.delete(client);
+}
+
+function tokenIsAcceptable(token) {
+  if (!token || token === 'bad') return false;
+  const [, claims] = token.split('.');
+  if (!claims) return true;
+  try {
+    const { exp } = JSON.parse(Buffer.from(claims, 'base64url').toString());
+    return !exp || exp * 1000 > Date.now();
+  } catch (_) {
+    return true;
+  }
+}
+
+function handleMessage(client, text) {
+  let frame;
+  try {
+    frame = JSON.parse(text);
+  } catch (_) {
+    return;
+  }
+  if (!client.ready) {
+    if (frame.type !== 'auth' || !tokenIsAcceptable(frame.token)) {
+      console.log('Rejected client', { type: frame.type });
+      closeClient(client, 4001, 'unauthorized');
+      return;
+    }
+    client.ready = true;
+    client.deviceId = frame.device_id;
+    console.log('Client ready', { deviceId: client.deviceId });
+    sendJson(client, { type: 'ready' });
+    return;
+  }
+  if (frame.type === 'ping') sendJson(client, { type: 'pong' });
+  else if (frame.type === 'ack') console.log('Acknowledged', { deviceId: client.deviceId, id: frame.id });
+}
+
+function broadcast(message) {
+  const frame = { type: 'message', id: randomUUID(), ...message };
+  let delivered = 0;
+  for (const client of clients) {
+    if (!client.ready) continue;
+    sendJson(client, frame);
+    delivered++;
+  }
+  console.log('Sent message', { id: frame.id, delivered });
+  return { id: frame.id, delivered };
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  console.log(req.method, url.pathname);
+  if (req.method === 'GET' && url.pathname === '/capabilities') {
+    return send(res, 200, { schema_versions: [1, 2], features: ['push'], push_url: `ws://localhost:${PORT}/push` });
+  }
+  if (req.method === 'GET' && url.pathname === '/clients') {
+    return send(res, 200, [...clients].map(({ deviceId, connectedAt, ready }) => ({ deviceId, connectedAt, ready })));
+  }
+  if (req.method === 'POST' && url.pathname === '/send') {
+    const message = await readJson(req);
+    if (!message || typeof message.message !== 'string') return send(res, 400, { error: 'message is required' });
+    return send(res, 200, broadcast(message));
+  }
+  return send(res, 404, { error: 'not_found' });
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (new URL(req.url, `http://localhost:${PORT}`).pathname !== '/push' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', '',
+  ].join('\r\n'));
+
+  const client = { socket, deviceId: null, connectedAt: new Date().toISOString(), ready: false };
+  clients.add(client);
+  let buffer = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    const { frames, rest } = decodeFrames(Buffer.concat([buffer, chunk]));
+    buffer = rest;
+    for (const { opcode, payload } of frames) {
+      if (opcode === OPCODES.TEXT) handleMessage(client, payload.toString());
+      else if (opcode === OPCODES.PING) socket.write(encodeFrame(OPCODES.PONG, payload));
+      else if (opcode === OPCODES.CLOSE) closeClient(client, 1000);
+    }
+  });
+  socket.on('close', () => clients.delete(client));
+  socket.on('error', () => clients.delete(client));
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock push server listening on ws://localhost:${PORT}/push`);
+  console.log('Type a line to push it to every connected browser.');
+});
+
+createInterface({ input: process.stdin }).on('line', (line) => {
+  if (line.trim()) broadcast({ title: 'Thoth', message: line.trim() });
+});
@@ -0,0 +1,167 @@
+import { log, LEVELS } from './utils/logger.js';
+import {
+  exportSettings,
+  getSettings,
+  importSettings,
+  onSettingsChanged,
+  resetSettings,
+  saveSettings,
+  SETTINGS,
+  validateSetting,
+} from './utils/settings.js';
+
+// Elements
+const form = document.getElementById('settings-form');
+const statusEl = document.getElementById('status');
+const saveBtn = document.getElementById('save');
+const resetBtn = document.getElementById('reset');
+const exportBtn = document.getElementById('export');
+const importBtn = document.getElementById('import');
+const importFile = document.getElementById('import-file');
+
+const inputs = {};
+const errors = {};
+const edited = new Set(); // keys changed in the form since they were last filled or saved
+
+function showStatus(message) {
+  statusEl.textContent = message;
+}
+
+function describeDefault(spec) {
+  const range = spec.type === 'integer' ? ` (${spec.min}–${spec.max})` : '';
+  return `Default: ${spec.defaultHint || spec.default}${range}`;
+}
+
+// One labelled input per setting, built from the schema so new settings show up automatically
+function buildForm() {
+  for (const [key, spec] of Object.entries(SETTINGS)) {
+    const row = document.createElement('div');
+    row.className = 'setting';
+
+    const label = document.createElement('label');
+    label.htmlFor = `setting-${key}`;
+    label.textContent = spec.label;
+
+    let input;
+    if (spec.type === 'enum') {
+      input = document.createElement('select');
+      for (const value of spec.values) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value;
+        input.appendChild(option);
+      }
+    } else {
+      input = document.createElement('input');
+      input.type = spec.type === 'integer' ? 'number' : 'text';
+      if (spec.type === 'integer') {
+        input.min = spec.min;
+        input.max = spec.max;
+        input.step = 1;
+      }
+    }
+    input.id = `setting-${key}`;
+    input.addEventListener('input', () => {
+      edited.add(key);
+      validateField(key);
+    });
+
+    const hint = document.createElement('div');
+    hint.className = 'hint';
+    hint.textContent = describeDefault(spec);
+
+    const error = document.createElement('div');
+    error.className = 'field-error hidden';
+
+    row.append(label, input, hint, error);
+    form.appendChild(row);
+    inputs[key] = input;
+    errors[key] = error;
+  }
+}
+
+function readField(key) {
+  const raw = inputs[key].value;
+  return SETTINGS[key].type === 'integer' ? Number(raw) : raw;
+}
+
+function validateField(key) {
+  const message = validateSetting(key, readField(key));
+  errors[key].textContent = message || '';
+  errors[key].classList.toggle('hidden', !message);
+  return !message;
+}
+
+/**
+ * Show setting values in the form.
+ * @param {Object<string, *>} settings - Some or all settings
+ * @param {{ keepEdits?: boolean }} [options] - Leave fields with unsaved edits alone
+ */
+function fillForm(settings, { keepEdits = false } = {}) {
+  for (const [key, value] of Object.entries(settings)) {
+    if (!inputs[key] || (keepEdits && edited.has(key))) continue;
+    inputs[key].value = value;
+    edited.delete(key);
+    validateField(key);
+  }
+}
+
+saveBtn.addEventListener('click', async () => {
+  const keys = Object.keys(SETTINGS);
+  const valid = keys.map(validateField).every(Boolean);
+  if (!valid) {
+    showStatus('Fix the highlighted fields before saving');
+    return;
+  }
+  try {
+    await saveSettings(Object.fromEntries(keys.map((key) => [key, readField(key)])));
+    edited.clear();
+    showStatus('Settings saved');
+    log(LEVELS.INFO, 'OPTIONS', 'Settings saved');
+  } catch (err) {
+    showStatus(err.message);
+  }
+});
+
+resetBtn.addEventListener('click', async () => {
+  await resetSettings();
+  fillForm(await getSettings());
+  showStatus('Settings reset to defaults');
+  log(LEVELS.INFO, 'OPTIONS', 'Settings reset');
+});
+
+exportBtn.addEventListener('click', async () => {
+  const blob = new Blob([await exportSettings()], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'thoth-settings.json';
+  link.click();
+  URL.revokeObjectURL(url);
+  showStatus('Settings exported');
+});
+
+importBtn.addEventListener('click', () => importFile.click());
+
+importFile.addEventListener('change', async () => {
+  const [file] = importFile.files;
+  importFile.value = '';
+  if (!file) return;
+  try {
+    const imported = await importSettings(await file.text());
+    fillForm(await getSettings());
+    showStatus(`Imported ${imported.length} setting(s) from ${file.name}`);
+    log(LEVELS.INFO, 'OPTIONS', 'Settings imported', { keys: imported });
+  } catch (err) {
+    showStatus(`Import failed:\n${err.message}`);
+  }
+});
+
+// Keep the form in step with changes made elsewhere, e.g. renaming this device
+// from the popup's device list, without discarding what the user is typing
+onSettingsChanged((changed) => fillForm(changed, { keepEdits: true }));
+
+document.addEventListener('DOMContentLoaded', async () => {
+  buildForm();
+  fillForm(await getSettings());
+});
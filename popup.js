@@ -1,10 +1,49 @@
 import { log, LEVELS } from './utils/logger.js';
-import { getCurrentServer, setCurrentServer, SERVERS } from './utils/storage.js';
+import { AUTH_STATE_KEY, AUTH_STATES, AUTH_TOKEN_KEY, storeTokens } from './utils/auth.js';
+import { supportsSso } from './utils/sso.js';
+import {
+  getCurrentServer,
+  getServers,
+  normalizeServerUrl,
+  removeServer,
+  saveServer,
+  setCurrentServer,
+  validateServerUrl,
+} from './utils/storage.js';
+import { probeServer } from './utils/health.js';
+import { getSettings, saveSettings, validateSetting } from './utils/settings.js';
+import { DEVICE_TYPE, getDeviceMetadata, resolveDeviceName } from './utils/device.js';
+import { FEATURES, fetchCapabilities, supports } from './utils/protocol.js';
+import { CHAT_PORT_NAME, clearChatHistory, getChatHistory } from './utils/chat.js';
+import { renderMarkdown } from './utils/markdown.js';
+import { MESSAGE_TYPES, sendRequest } from './utils/messages.js';
+import { clearNotificationHistory, getNotificationHistory, NOTIFICATION_HISTORY_KEY } from './utils/notifier.js';
+import {
+  ACTION_CONSENT_KEY,
+  ACTION_LOG_KEY,
+  ACTION_SPECS,
+  ACTION_STATUS,
+  clearActionLog,
+  CONSENT_LEVELS,
+  getActionConsent,
+  getActionLog,
+  setActionConsent,
+} from './utils/actions.js';
+import {
+  getPauseState,
+  getSchedule,
+  PAUSE_REASONS,
+  pauseEndFor,
+  pauseTracking,
+  PAUSED_UNTIL_KEY,
+  resumeTracking,
+  SCHEDULE_KEY,
+  setSchedule,
+} from './utils/pause.js';
+import { CAPTURE_LEVELS, getPrivacySettings, setPrivacySettings, validatePattern } from './utils/privacy.js';
+import { validateRedactionPattern } from './utils/redact.js';
 
-const AUTH_TOKEN_KEY = 'authToken';
 let API_BASE = 'https://web-production-d7d37.up.railway.app';
-const DEVICE_NAME = 'browser-chrome';
-const DEVICE_TYPE = 'browser';
 
 // Elements
 const loginView = document.getElementById('login-view');
@@ -15,71 +54,246 @@ const usernameInput = document.getElementById('username');
 const passwordInput = document.getElementById('password');
 const loginBtn = document.getElementById('login-btn');
 const logoutBtn = document.getElementById('logout-btn');
+const ssoLoginBtn = document.getElementById('sso-login-btn');
 
 function showLogin() {
   loginView.classList.remove('hidden');
   loggedView.classList.add('hidden');
+  stopStatusDashboard();
 }
 
 function showLogged() {
   loginView.classList.add('hidden');
   loggedView.classList.remove('hidden');
+  startStatusDashboard();
+  renderPauseState();
+  loadChat();
+  renderHistory();
+  renderActionLog();
+  loadDevices();
+}
+
+const SESSION_EXPIRED_MESSAGE = 'Session expired – please log in again';
+const SERVER_SWITCHED_MESSAGE = 'Switched servers – please log in again';
+
+// Offer SSO only for servers that have an identity provider configured
+function updateSsoButton(server) {
+  ssoLoginBtn.classList.toggle('hidden', !supportsSso(server));
 }
 
 // Initialize UI based on auth state
-chrome.storage.local.get([AUTH_TOKEN_KEY], (result) => {
+chrome.storage.local.get([AUTH_TOKEN_KEY, AUTH_STATE_KEY], (result) => {
   if (result[AUTH_TOKEN_KEY]) {
     showLogged();
   } else {
     showLogin();
+    if (result[AUTH_STATE_KEY] === AUTH_STATES.EXPIRED) {
+      statusEl.textContent = SESSION_EXPIRED_MESSAGE;
+    } else if (result[AUTH_STATE_KEY] === AUTH_STATES.SERVER_CHANGED) {
+      statusEl.textContent = SERVER_SWITCHED_MESSAGE;
+    }
   }
 });
 
-// Initialize server selection
+// The background may end the session while the popup is open, or finish an SSO login
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[AUTH_STATE_KEY]?.newValue === AUTH_STATES.AUTHENTICATED) {
+    showLogged();
+  }
+  if (areaName === 'local' && changes[AUTH_STATE_KEY]?.newValue === AUTH_STATES.EXPIRED) {
+    showLogin();
+    statusEl.textContent = SESSION_EXPIRED_MESSAGE;
+  }
+  if (areaName === 'local' && changes[AUTH_STATE_KEY]?.newValue === AUTH_STATES.SERVER_CHANGED) {
+    showLogin();
+    showStatus(SERVER_SWITCHED_MESSAGE, { sticky: true });
+  }
+});
+
+let statusTimerId = null;
+
+function showStatus(message, { sticky = false } = {}) {
+  statusEl.textContent = message;
+  statusEl.classList.remove('hidden');
+  clearTimeout(statusTimerId);
+  if (sticky) return;
+  // Hide status after 3 seconds
+  statusTimerId = setTimeout(() => {
+    statusEl.classList.add('hidden');
+  }, 3000);
+}
+
+function describeHealth(server, result) {
+  if (!result.ok) return `${server.name}: ${result.error}`;
+  const version = result.version ? `, version ${result.version}` : '';
+  return `${server.name}: reachable in ${result.latencyMs} ms${version}`;
+}
+
+// Initialize server selection and the server list editor
 async function initServerSelection() {
   const settingsButton = document.getElementById('settings-button');
   const settingsContainer = document.getElementById('settings-container');
   const serverSelect = document.getElementById('server-select');
-  
-  // Load current server
-  const currentServer = await getCurrentServer();
+  const testBtn = document.getElementById('server-test');
+  const editBtn = document.getElementById('server-edit');
+  const removeBtn = document.getElementById('server-remove');
+  const healthEl = document.getElementById('server-health');
+  const nameInput = document.getElementById('server-name');
+  const urlInput = document.getElementById('server-url');
+  const authSelect = document.getElementById('server-auth');
+  const oidcFields = document.getElementById('server-oidc');
+  const issuerInput = document.getElementById('server-issuer');
+  const clientIdInput = document.getElementById('server-client-id');
+  const serverError = document.getElementById('server-error');
+  const saveBtn = document.getElementById('server-save');
+  const cancelBtn = document.getElementById('server-cancel');
+
+  let servers = await getServers();
+  let currentServer = await getCurrentServer();
+  let editingId = null;
   API_BASE = currentServer.url;
-  
-  // Set the selected server in the dropdown
-  const selectedServer = Object.keys(SERVERS).find(
-    key => SERVERS[key].url === currentServer.url
-  ) || 'PRODUCTION';
-  serverSelect.value = selectedServer;
-  
+  updateSsoButton(currentServer);
+
+  const renderServers = () => {
+    serverSelect.textContent = '';
+    for (const server of servers) {
+      const option = document.createElement('option');
+      option.value = server.id;
+      option.textContent = server.builtIn ? server.name : `${server.name} (${server.url})`;
+      serverSelect.appendChild(option);
+    }
+    serverSelect.value = currentServer.id || 'PRODUCTION';
+    // Built-in servers ship with the extension and cannot be changed
+    editBtn.disabled = !!currentServer.builtIn;
+    removeBtn.disabled = !!currentServer.builtIn;
+  };
+
+  const resetForm = () => {
+    editingId = null;
+    nameInput.value = '';
+    urlInput.value = '';
+    authSelect.value = 'password';
+    issuerInput.value = '';
+    clientIdInput.value = '';
+    oidcFields.classList.add('hidden');
+    serverError.classList.add('hidden');
+    saveBtn.textContent = 'Add server';
+    cancelBtn.classList.add('hidden');
+  };
+
+  const showServerError = (message) => {
+    serverError.textContent = message;
+    serverError.classList.remove('hidden');
+  };
+
+  const selectServer = async (server) => {
+    const changed = server.url !== currentServer.url;
+    currentServer = server;
+    await setCurrentServer(server);
+    API_BASE = server.url;
+    updateSsoButton(server);
+    healthEl.classList.add('hidden');
+    renderServers();
+    if (changed) showStatus(`Switched to ${server.name} server`);
+    // The background logs out of the old server and, for SSO servers, starts the new login
+    sendRequest(MESSAGE_TYPES.SERVER_CHANGED, { server }).catch((err) => {
+      log(LEVELS.ERROR, 'POPUP', 'Server switch failed', { error: err.message });
+    });
+  };
+
+  renderServers();
+
   // Toggle settings visibility
   settingsButton.addEventListener('click', (e) => {
     e.stopPropagation();
     settingsContainer.classList.toggle('visible');
   });
-  
+
+  document.getElementById('open-options').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  document.getElementById('open-timeline').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('timeline.html') });
+  });
+
   // Handle server change
   serverSelect.addEventListener('change', async (e) => {
-    const selectedKey = e.target.value;
-    const selectedServer = SERVERS[selectedKey];
+    const selectedServer = servers.find((server) => server.id === e.target.value);
     if (selectedServer) {
-      await setCurrentServer(selectedServer);
-      API_BASE = selectedServer.url;
-      
-      // Show status message
-      const statusEl = document.getElementById('status');
-      statusEl.textContent = `Switched to ${selectedServer.name} server`;
-      statusEl.classList.remove('hidden');
-      
-      // Hide status after 3 seconds
-      setTimeout(() => {
-        statusEl.classList.add('hidden');
-      }, 3000);
-      
-      // Notify background script
-      chrome.runtime.sendMessage({
-        type: 'SERVER_CHANGED',
-        server: selectedServer
-      });
+      await selectServer(selectedServer);
+    }
+  });
+
+  testBtn.addEventListener('click', async () => {
+    testBtn.disabled = true;
+    healthEl.textContent = `Testing ${currentServer.name}...`;
+    healthEl.className = 'server-health';
+    const result = await probeServer(currentServer.url);
+    healthEl.textContent = describeHealth(currentServer, result);
+    healthEl.className = `server-health ${result.ok ? 'ok' : 'failed'}`;
+    testBtn.disabled = false;
+  });
+
+  authSelect.addEventListener('change', () => {
+    oidcFields.classList.toggle('hidden', authSelect.value !== 'oidc');
+  });
+
+  editBtn.addEventListener('click', () => {
+    if (currentServer.builtIn) return;
+    editingId = currentServer.id;
+    nameInput.value = currentServer.name;
+    urlInput.value = currentServer.url;
+    authSelect.value = currentServer.auth?.method === 'oidc' ? 'oidc' : 'password';
+    issuerInput.value = currentServer.auth?.issuer || '';
+    clientIdInput.value = currentServer.auth?.clientId || '';
+    oidcFields.classList.toggle('hidden', authSelect.value !== 'oidc');
+    saveBtn.textContent = 'Save changes';
+    cancelBtn.classList.remove('hidden');
+  });
+
+  cancelBtn.addEventListener('click', resetForm);
+
+  removeBtn.addEventListener('click', async () => {
+    if (currentServer.builtIn) return;
+    const removed = currentServer;
+    await removeServer(removed.id);
+    servers = await getServers();
+    log(LEVELS.INFO, 'POPUP', 'Server removed', { name: removed.name });
+    resetForm();
+    await selectServer(servers[0]);
+  });
+
+  saveBtn.addEventListener('click', async () => {
+    const url = urlInput.value.trim();
+    const urlError = validateServerUrl(url);
+    if (urlError) {
+      showServerError(urlError);
+      return;
+    }
+    let auth;
+    if (authSelect.value === 'oidc') {
+      const issuer = issuerInput.value.trim();
+      const issuerError = validateServerUrl(issuer);
+      if (issuerError) {
+        showServerError(`Issuer: ${issuerError}`);
+        return;
+      }
+      if (!clientIdInput.value.trim()) {
+        showServerError('Client ID is required for SSO');
+        return;
+      }
+      auth = { method: 'oidc', issuer: normalizeServerUrl(issuer), clientId: clientIdInput.value.trim() };
+    }
+
+    try {
+      const saved = await saveServer({ id: editingId, name: nameInput.value, url, auth });
+      servers = await getServers();
+      log(LEVELS.INFO, 'POPUP', editingId ? 'Server updated' : 'Server added', { name: saved.name, url: saved.url });
+      resetForm();
+      await selectServer(saved);
+    } catch (err) {
+      showServerError(err.message);
     }
   });
 }
@@ -87,6 +301,107 @@ async function initServerSelection() {
 // Initialize server selection when the popup loads
 document.addEventListener('DOMContentLoaded', initServerSelection);
 
+const LEVEL_LABELS = {
+  [CAPTURE_LEVELS.BLOCK]: 'blocked',
+  [CAPTURE_LEVELS.TITLE]: 'title only',
+  [CAPTURE_LEVELS.URL]: 'URL only',
+  [CAPTURE_LEVELS.FULL]: 'full content',
+};
+
+// Initialize privacy rule editor
+async function initPrivacySettings() {
+  const modeSelect = document.getElementById('privacy-mode');
+  const incognitoBox = document.getElementById('privacy-incognito');
+  const internalBox = document.getElementById('privacy-internal');
+  const ruleList = document.getElementById('privacy-rules');
+  const patternInput = document.getElementById('rule-pattern');
+  const levelSelect = document.getElementById('rule-level');
+  const ruleError = document.getElementById('rule-error');
+  const addBtn = document.getElementById('rule-add');
+  const redactionsInput = document.getElementById('custom-redactions');
+  const redactionError = document.getElementById('redaction-error');
+
+  let settings = await getPrivacySettings();
+
+  const save = async () => {
+    await setPrivacySettings(settings);
+    log(LEVELS.INFO, 'POPUP', 'Privacy settings saved', { mode: settings.mode, rules: settings.rules.length });
+  };
+
+  const renderRules = () => {
+    ruleList.textContent = '';
+    settings.rules.forEach((rule, index) => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      const level = rule.action === 'block' ? CAPTURE_LEVELS.BLOCK : rule.level;
+      label.textContent = `${rule.pattern} – ${LEVEL_LABELS[level]}`;
+      label.title = label.textContent;
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = '✕';
+      removeBtn.title = 'Remove rule';
+      removeBtn.addEventListener('click', async () => {
+        settings.rules.splice(index, 1);
+        renderRules();
+        await save();
+      });
+      item.append(label, removeBtn);
+      ruleList.appendChild(item);
+    });
+  };
+
+  modeSelect.value = settings.mode;
+  incognitoBox.checked = settings.excludeIncognito;
+  internalBox.checked = settings.excludeInternalPages;
+  redactionsInput.value = settings.customRedactions.join('\n');
+  renderRules();
+
+  modeSelect.addEventListener('change', async () => {
+    settings = { ...settings, mode: modeSelect.value };
+    await save();
+  });
+  incognitoBox.addEventListener('change', async () => {
+    settings = { ...settings, excludeIncognito: incognitoBox.checked };
+    await save();
+  });
+  internalBox.addEventListener('change', async () => {
+    settings = { ...settings, excludeInternalPages: internalBox.checked };
+    await save();
+  });
+
+  redactionsInput.addEventListener('change', async () => {
+    const patterns = redactionsInput.value.split('\n').map((line) => line.trim()).filter(Boolean);
+    const invalid = patterns.map(validateRedactionPattern).find(Boolean);
+    if (invalid) {
+      redactionError.textContent = invalid;
+      redactionError.classList.remove('hidden');
+      return;
+    }
+    redactionError.classList.add('hidden');
+    settings = { ...settings, customRedactions: patterns };
+    await save();
+  });
+
+  addBtn.addEventListener('click', async () => {
+    const pattern = patternInput.value.trim();
+    const error = validatePattern(pattern);
+    if (error) {
+      ruleError.textContent = error;
+      ruleError.classList.remove('hidden');
+      return;
+    }
+    ruleError.classList.add('hidden');
+    const level = levelSelect.value;
+    settings.rules.push(
+      level === CAPTURE_LEVELS.BLOCK ? { pattern, action: 'block' } : { pattern, action: 'allow', level }
+    );
+    patternInput.value = '';
+    renderRules();
+    await save();
+  });
+}
+
+document.addEventListener('DOMContentLoaded', initPrivacySettings);
+
 loginBtn.addEventListener('click', async () => {
   const username = usernameInput.value.trim();
   const password = passwordInput.value;
@@ -101,14 +416,18 @@ loginBtn.addEventListener('click', async () => {
     const deviceId = await new Promise((resolve) => {
       chrome.storage.local.get(['device_id'], (result) => resolve(result['device_id']));
     });
+    const metadata = await getDeviceMetadata();
+    const deviceName = await resolveDeviceName((await getSettings()).deviceName, metadata);
+    const caps = await fetchCapabilities(API_BASE);
 
-    // Backend expects JSON matching LoginRequest: { username, password, device_id?, device_name?, device_type? }
+    // Backend expects JSON matching LoginRequest: { username, password, device_id?, device_name?, device_type?, device_metadata? }
     const body = {
       username,
       password,
       device_id: deviceId || undefined,
-      device_name: DEVICE_NAME,
+      device_name: deviceName,
       device_type: DEVICE_TYPE,
+      ...(supports(caps, FEATURES.DEVICE_METADATA) && { device_metadata: metadata }),
     };
 
     const res = await fetch(`${API_BASE}/token`, {
@@ -124,16 +443,16 @@ loginBtn.addEventListener('click', async () => {
     }
 
     const data = await res.json();
-    const token = data.access_token;
-    if (!token) throw new Error('No token received');
-
-    // Store token
-    chrome.storage.local.set({ [AUTH_TOKEN_KEY]: token }, () => {
-      log(LEVELS.INFO, 'POPUP', 'Token stored');
-      chrome.runtime.sendMessage({ type: 'login-success' });
-      showLogged();
-      statusLoggedEl.textContent = 'Logged in';
+    if (!data.access_token) throw new Error('No token received');
+
+    // Store token, plus its expiry and refresh token when the server sends them
+    await storeTokens(data);
+    log(LEVELS.INFO, 'POPUP', 'Token stored');
+    sendRequest(MESSAGE_TYPES.LOGIN_SUCCESS).catch((err) => {
+      log(LEVELS.ERROR, 'POPUP', 'Background did not start tracking', { error: err.message });
     });
+    // The logged-in view opens from the auth state change (see storage.onChanged above)
+    statusLoggedEl.textContent = 'Logged in';
   } catch (err) {
     console.error(err);
     statusEl.textContent = err.message || 'Login failed';
@@ -142,10 +461,542 @@ loginBtn.addEventListener('click', async () => {
   }
 });
 
+ssoLoginBtn.addEventListener('click', () => {
+  ssoLoginBtn.disabled = true;
+  statusEl.textContent = 'Waiting for SSO login...';
+  // The popup may close while the identity provider's window is open; the
+  // background finishes the login either way
+  sendRequest(MESSAGE_TYPES.SSO_LOGIN)
+    .then(() => {
+      statusLoggedEl.textContent = 'Logged in';
+    })
+    .catch((err) => {
+      statusEl.textContent = err.message || 'SSO login failed';
+    })
+    .finally(() => {
+      ssoLoginBtn.disabled = false;
+    });
+});
+
 logoutBtn.addEventListener('click', () => {
-  chrome.storage.local.remove([AUTH_TOKEN_KEY], () => {
-    chrome.runtime.sendMessage({ type: 'logout' });
-    showLogin();
-    statusEl.textContent = 'Logged out';
+  // The background notifies the server with the current token, then clears it
+  sendRequest(MESSAGE_TYPES.LOGOUT).catch((err) => {
+    log(LEVELS.ERROR, 'POPUP', 'Logout failed', { error: err.message });
   });
+  showLogin();
+  statusEl.textContent = 'Logged out';
 });
+
+// Live connection status, queried from the background while the popup is open
+const statusDashboard = document.getElementById('status-dashboard');
+const STATUS_REFRESH_MS = 5000;
+let dashboardTimerId = null;
+
+function formatAgo(at) {
+  const seconds = Math.max(0, Math.round((Date.now() - at) / 1000));
+  if (seconds < 60) return `${seconds} s ago`;
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min ago`;
+  return new Date(at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// Heartbeat or /active outcome as [text, class, tooltip]
+function describeOutcome(outcome) {
+  if (!outcome) return ['None yet', '', ''];
+  if (outcome.ok) return [`OK · ${formatAgo(outcome.at)}`, 'ok', outcome.url || ''];
+  const failure = outcome.status ? `HTTP ${outcome.status}` : 'Unreachable';
+  return [`${failure} · ${formatAgo(outcome.at)}`, 'failed', outcome.error || ''];
+}
+
+function describeSession(auth) {
+  if (!auth.authenticated) return ['Not tracking', 'failed'];
+  const method = auth.method === 'oidc' ? 'SSO' : 'Password';
+  if (!auth.expiresAt) return [method, 'ok'];
+  const expiry = new Date(auth.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return [`${method} · token until ${expiry}`, 'ok'];
+}
+
+function statusRows(status) {
+  const rows = [
+    ['Server', status.server.name, '', status.server.url],
+    ['Session', ...describeSession(status.auth)],
+    ['Heartbeat', ...describeOutcome(status.lastHeartbeat)],
+    ['Last page', ...describeOutcome(status.lastActive)],
+  ];
+  if (status.lastActive?.response) {
+    rows.push(['Last reply', status.lastActive.response, '', status.lastActive.response]);
+  }
+  if (supports(status.server.capabilities, FEATURES.PUSH)) {
+    rows.push(['Push', status.push, status.push === 'connected' ? 'ok' : status.push === 'unauthorized' ? 'failed' : '']);
+  }
+  const focus = status.presence.focused ? 'Focused' : 'In background';
+  rows.push(['Browser', `${focus} · ${status.presence.idleState}`]);
+  if (status.queued) rows.push(['Queued', `${status.queued} request(s) waiting to be sent`, 'failed']);
+  rows.push(['Device', status.device.name || 'Unnamed', '', status.device.id]);
+  return rows;
+}
+
+async function renderStatusDashboard() {
+  let status;
+  try {
+    status = await sendRequest(MESSAGE_TYPES.GET_STATUS);
+  } catch (err) {
+    statusDashboard.textContent = 'Status unavailable';
+    log(LEVELS.WARN, 'POPUP', 'Status query failed', { error: err.message });
+    return;
+  }
+  statusDashboard.textContent = '';
+  for (const [label, value, className = '', title = ''] of statusRows(status)) {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = value;
+    dd.className = className;
+    dd.title = title;
+    statusDashboard.append(dt, dd);
+  }
+}
+
+function startStatusDashboard() {
+  renderStatusDashboard();
+  clearInterval(dashboardTimerId);
+  dashboardTimerId = setInterval(renderStatusDashboard, STATUS_REFRESH_MS);
+}
+
+function stopStatusDashboard() {
+  clearInterval(dashboardTimerId);
+  dashboardTimerId = null;
+}
+
+// Chat about the current tab; the background attaches the page and streams the answer
+const chatLog = document.getElementById('chat-log');
+const chatContext = document.getElementById('chat-context');
+const chatInput = document.getElementById('chat-input');
+const chatSendBtn = document.getElementById('chat-send');
+const chatClearBtn = document.getElementById('chat-clear');
+let chatTabId = null;
+
+function appendChatBubble(role, content) {
+  const bubble = document.createElement('div');
+  bubble.className = `chat-message ${role}`;
+  if (role === 'assistant') {
+    bubble.append(renderMarkdown(content));
+  } else {
+    bubble.textContent = content;
+  }
+  chatLog.append(bubble);
+  chatLog.scrollTop = chatLog.scrollHeight;
+  return bubble;
+}
+
+async function loadChat() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  chatTabId = tab ? tab.id : null;
+  chatLog.textContent = '';
+  chatContext.textContent = '';
+  if (chatTabId === null) return;
+  for (const message of await getChatHistory(chatTabId)) {
+    appendChatBubble(message.role, message.content);
+  }
+}
+
+function askThoth() {
+  const question = chatInput.value.trim();
+  if (!question || chatTabId === null) return;
+  chatInput.value = '';
+  chatSendBtn.disabled = true;
+  appendChatBubble('user', question);
+  const bubble = appendChatBubble('assistant', '…');
+  let answer = '';
+
+  const port = chrome.runtime.connect({ name: CHAT_PORT_NAME });
+  const finish = () => {
+    chatSendBtn.disabled = false;
+    port.disconnect();
+  };
+  port.onMessage.addListener((message) => {
+    if (message.type === 'context') {
+      chatContext.textContent = message.attached
+        ? `Page attached: ${message.title || 'current tab'}`
+        : 'This site is excluded – page not attached';
+    } else if (message.type === 'delta') {
+      answer += message.text;
+      // Re-render the whole reply so markdown spanning chunks comes out right
+      bubble.replaceChildren(renderMarkdown(answer));
+      chatLog.scrollTop = chatLog.scrollHeight;
+    } else if (message.type === 'done') {
+      if (!answer) bubble.textContent = 'No answer received';
+      finish();
+    } else if (message.type === 'error') {
+      bubble.classList.add('error');
+      bubble.textContent = message.message;
+      finish();
+    }
+  });
+  port.postMessage({ type: 'ask', tabId: chatTabId, question });
+}
+
+chatSendBtn.addEventListener('click', askThoth);
+chatInput.addEventListener('keydown', (e) => {
+  // Enter sends, Shift+Enter adds a line
+  if (e.key === 'Enter' && !e.shiftKey) {
+    e.preventDefault();
+    askThoth();
+  }
+});
+chatClearBtn.addEventListener('click', async () => {
+  if (chatTabId === null) return;
+  await clearChatHistory(chatTabId);
+  chatLog.textContent = '';
+  chatContext.textContent = '';
+});
+
+// History of recent Thoth messages, with feedback
+const historyList = document.getElementById('history-list');
+
+async function renderHistory() {
+  const history = await getNotificationHistory();
+  historyList.textContent = '';
+  if (!history.length) {
+    const empty = document.createElement('li');
+    empty.textContent = 'No messages yet';
+    historyList.append(empty);
+    return;
+  }
+  for (const entry of history) {
+    const item = document.createElement('li');
+    const title = document.createElement('strong');
+    title.textContent = entry.title;
+    const message = document.createElement('div');
+    message.textContent = entry.message;
+
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    const time = document.createElement('span');
+    time.textContent = new Date(entry.createdAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    meta.append(time);
+    const actions = document.createElement('span');
+    if (entry.url) {
+      const open = document.createElement('a');
+      open.href = entry.url;
+      open.target = '_blank';
+      open.rel = 'noopener noreferrer';
+      open.textContent = 'Open';
+      actions.append(open);
+    }
+    // Only messages from the server can be rated
+    if (entry.serverId) {
+      for (const [rating, label] of [['up', '👍'], ['down', '👎']]) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.title = rating === 'up' ? 'Helpful' : 'Not helpful';
+        button.classList.toggle('selected', entry.feedback === rating);
+        button.addEventListener('click', () => {
+          sendRequest(MESSAGE_TYPES.NOTIFICATION_FEEDBACK, { id: entry.id, rating }).catch((err) => {
+            log(LEVELS.WARN, 'POPUP', 'Feedback not sent', { error: err.message });
+          });
+        });
+        actions.append(button);
+      }
+    }
+    meta.append(actions);
+
+    item.append(title, message, meta);
+    historyList.append(item);
+  }
+}
+
+document.getElementById('history-clear').addEventListener('click', clearNotificationHistory);
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[NOTIFICATION_HISTORY_KEY]) renderHistory();
+});
+
+// Audit log of actions the server asked for, with Allow / Deny for those still waiting
+const actionLogList = document.getElementById('action-log');
+
+async function renderActionLog() {
+  const entries = await getActionLog();
+  actionLogList.textContent = '';
+  if (!entries.length) {
+    const empty = document.createElement('li');
+    empty.textContent = 'No actions requested';
+    actionLogList.append(empty);
+    return;
+  }
+  for (const entry of entries) {
+    const item = document.createElement('li');
+    const summary = document.createElement('div');
+    summary.textContent = entry.summary;
+    item.append(summary);
+    if (entry.reason || entry.error) {
+      const detail = document.createElement('div');
+      detail.textContent = entry.error || entry.reason;
+      item.append(detail);
+    }
+
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    const time = document.createElement('span');
+    time.textContent = new Date(entry.at).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    const status = document.createElement('span');
+    status.className = `action-status ${entry.status}`;
+    // e.g. "executed (approved)" vs "executed (always)"
+    status.textContent = entry.consent ? `${entry.status} (${entry.consent})` : entry.status;
+    if (entry.status === ACTION_STATUS.PENDING) {
+      for (const [approved, label] of [[true, 'Allow'], [false, 'Deny']]) {
+        const button = document.createElement('button');
+        button.className = 'action-answer';
+        button.textContent = label;
+        button.addEventListener('click', () => {
+          sendRequest(MESSAGE_TYPES.ACTION_ANSWER, { id: entry.id, approved }).catch((err) => {
+            log(LEVELS.WARN, 'POPUP', 'Action answer not sent', { error: err.message });
+          });
+        });
+        status.append(' ', button);
+      }
+    }
+    meta.append(time, status);
+
+    item.append(meta);
+    actionLogList.append(item);
+  }
+}
+
+document.getElementById('action-log-clear').addEventListener('click', clearActionLog);
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[ACTION_LOG_KEY]) renderActionLog();
+});
+
+// Per-type consent for server-requested actions
+async function initActionConsent() {
+  const container = document.getElementById('action-consent');
+  const consent = await getActionConsent();
+  const selects = {};
+  for (const [type, spec] of Object.entries(ACTION_SPECS)) {
+    const label = document.createElement('label');
+    const select = document.createElement('select');
+    for (const [value, text] of [[CONSENT_LEVELS.ALWAYS, 'Always'], [CONSENT_LEVELS.ASK, 'Ask'], [CONSENT_LEVELS.NEVER, 'Never']]) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      select.append(option);
+    }
+    select.value = consent[type];
+    select.addEventListener('change', async () => {
+      await setActionConsent(type, select.value);
+      log(LEVELS.INFO, 'POPUP', 'Action consent changed', { type, level: select.value });
+    });
+    label.append(spec.label, select);
+    container.append(label);
+    selects[type] = select;
+  }
+  chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    if (areaName !== 'sync' || !changes[ACTION_CONSENT_KEY]) return;
+    const updated = await getActionConsent();
+    for (const [type, select] of Object.entries(selects)) select.value = updated[type];
+  });
+}
+
+document.addEventListener('DOMContentLoaded', initActionConsent);
+
+// Pause / snooze controls
+const pauseStatusEl = document.getElementById('pause-status');
+const resumeBtn = document.getElementById('resume-btn');
+
+async function renderPauseState() {
+  const state = await getPauseState();
+  const until = state.until ? new Date(state.until).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' }) : null;
+  if (!state.paused) {
+    pauseStatusEl.textContent = 'Tracking is on';
+  } else if (state.reason === PAUSE_REASONS.SCHEDULE) {
+    pauseStatusEl.textContent = until ? `Outside tracking hours – resumes ${until}` : 'Outside tracking hours';
+  } else {
+    pauseStatusEl.textContent = `Paused until ${until}`;
+  }
+  // Only a manual pause can be lifted here; the schedule is changed in settings
+  resumeBtn.classList.toggle('hidden', state.reason !== PAUSE_REASONS.MANUAL);
+}
+
+document.querySelectorAll('[data-pause]').forEach((button) => {
+  button.addEventListener('click', async () => {
+    await pauseTracking(pauseEndFor(button.dataset.pause));
+    log(LEVELS.INFO, 'POPUP', 'Tracking paused', { option: button.dataset.pause });
+  });
+});
+
+resumeBtn.addEventListener('click', async () => {
+  await resumeTracking();
+  log(LEVELS.INFO, 'POPUP', 'Tracking resumed');
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if ((areaName === 'local' && changes[PAUSED_UNTIL_KEY]) || (areaName === 'sync' && changes[SCHEDULE_KEY])) {
+    renderPauseState();
+  }
+});
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Initialize the recurring tracking schedule editor
+async function initScheduleSettings() {
+  const enabledBox = document.getElementById('schedule-enabled');
+  const daysEl = document.getElementById('schedule-days');
+  const startInput = document.getElementById('schedule-start');
+  const endInput = document.getElementById('schedule-end');
+  const scheduleError = document.getElementById('schedule-error');
+
+  const schedule = await getSchedule();
+  enabledBox.checked = schedule.enabled;
+  startInput.value = schedule.start;
+  endInput.value = schedule.end;
+  // Monday first, as most working weeks are written
+  const dayBoxes = [1, 2, 3, 4, 5, 6, 0].map((day) => {
+    const label = document.createElement('label');
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.value = day;
+    box.checked = schedule.days.includes(day);
+    label.append(box, DAY_LABELS[day]);
+    daysEl.appendChild(label);
+    return box;
+  });
+
+  const save = async () => {
+    const updated = {
+      enabled: enabledBox.checked,
+      days: dayBoxes.filter((box) => box.checked).map((box) => Number(box.value)),
+      start: startInput.value,
+      end: endInput.value,
+    };
+    try {
+      await setSchedule(updated);
+      scheduleError.classList.add('hidden');
+      log(LEVELS.INFO, 'POPUP', 'Tracking schedule saved', updated);
+    } catch (err) {
+      scheduleError.textContent = err.message;
+      scheduleError.classList.remove('hidden');
+    }
+  };
+
+  [enabledBox, startInput, endInput, ...dayBoxes].forEach((el) => el.addEventListener('change', save));
+}
+
+document.addEventListener('DOMContentLoaded', initScheduleSettings);
+
+// Device registry: the account's devices as the backend knows them
+const deviceList = document.getElementById('device-list');
+const deviceError = document.getElementById('device-error');
+
+function formatLastSeen(lastSeen) {
+  if (!lastSeen) return 'never seen';
+  const minutes = Math.round((Date.now() - new Date(lastSeen).getTime()) / 60000);
+  if (minutes < 1) return 'seen just now';
+  if (minutes < 60) return `seen ${minutes} min ago`;
+  if (minutes < 24 * 60) return `seen ${Math.round(minutes / 60)} h ago`;
+  return `seen ${new Date(lastSeen).toLocaleDateString()}`;
+}
+
+function describeDeviceDetails(device) {
+  const meta = device.metadata || {};
+  const platform = meta.browser && meta.os ? `${meta.browser.name} on ${meta.os.name}` : device.device_type;
+  return `${platform} · ${formatLastSeen(device.last_seen)}`;
+}
+
+function showDeviceError(message) {
+  deviceError.textContent = message;
+  deviceError.classList.toggle('hidden', !message);
+}
+
+async function loadDevices() {
+  showDeviceError('');
+  const { [AUTH_TOKEN_KEY]: token, device_id: ownId } = await chrome.storage.local.get([AUTH_TOKEN_KEY, 'device_id']);
+  if (!token) return;
+  // The background holds the session and refreshes the token if needed
+  let devices;
+  try {
+    devices = await sendRequest(MESSAGE_TYPES.LIST_DEVICES);
+  } catch (err) {
+    deviceList.textContent = '';
+    showDeviceError('Could not load devices');
+    return;
+  }
+  if (!devices) {
+    deviceList.textContent = '';
+    showDeviceError('This server does not list devices');
+    return;
+  }
+
+  deviceList.textContent = '';
+  for (const device of devices) {
+    const isOwn = device.device_id === ownId;
+    const item = document.createElement('li');
+    const name = document.createElement('div');
+    name.className = 'device-name';
+    name.textContent = isOwn ? `${device.device_name} (this device)` : device.device_name;
+    const details = document.createElement('div');
+    details.className = 'device-details';
+    details.textContent = describeDeviceDetails(device);
+
+    const actions = document.createElement('div');
+    actions.className = 'device-actions';
+    const renameBtn = document.createElement('button');
+    renameBtn.textContent = 'Rename';
+    renameBtn.addEventListener('click', () => startRename(device, isOwn, actions));
+    actions.appendChild(renameBtn);
+    // Revoking this browser would strand the session; Logout covers that
+    if (!isOwn) {
+      const revokeBtn = document.createElement('button');
+      revokeBtn.textContent = 'Revoke';
+      revokeBtn.style.backgroundColor = '#e84545';
+      revokeBtn.addEventListener('click', async () => {
+        if (!confirm(`Revoke ${device.device_name}? It will be logged out and removed from your account.`)) return;
+        revokeBtn.disabled = true;
+        try {
+          await sendRequest(MESSAGE_TYPES.REVOKE_DEVICE, { deviceId: device.device_id });
+          item.remove();
+        } catch (err) {
+          revokeBtn.disabled = false;
+          showDeviceError(`Could not revoke ${device.device_name}`);
+        }
+      });
+      actions.appendChild(revokeBtn);
+    }
+
+    item.append(name, details, actions);
+    deviceList.appendChild(item);
+  }
+}
+
+function startRename(device, isOwn, actions) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = device.device_name;
+  const saveBtn = document.createElement('button');
+  saveBtn.textContent = 'Save';
+  saveBtn.addEventListener('click', async () => {
+    const name = input.value.trim();
+    if (!name) return;
+    // This device's name is also a setting: check it before anything is sent
+    const invalid = isOwn && validateSetting('deviceName', name);
+    if (invalid) {
+      showDeviceError(invalid);
+      return;
+    }
+    saveBtn.disabled = true;
+    try {
+      await sendRequest(MESSAGE_TYPES.RENAME_DEVICE, { deviceId: device.device_id, name });
+      if (isOwn) {
+        // Stored locally too, or the next heartbeat would send the old name back
+        await saveSettings({ deviceName: name });
+      }
+      loadDevices();
+    } catch (err) {
+      saveBtn.disabled = false;
+      showDeviceError(err.message);
+    }
+  });
+  actions.replaceChildren(input, saveBtn);
+  input.focus();
+}
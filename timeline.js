@@ -0,0 +1,151 @@
+import { log, LEVELS } from './utils/logger.js';
+import { aggregateVisits, clearVisits, dayOf, deleteVisit, exportVisits, listVisits } from './utils/timeline.js';
+
+// Elements
+const fromInput = document.getElementById('range-from');
+const toInput = document.getElementById('range-to');
+const byDayBody = document.getElementById('by-day');
+const byDomainBody = document.getElementById('by-domain');
+const visitsBody = document.getElementById('visits');
+const statusEl = document.getElementById('status');
+
+const DEFAULT_DAYS = 7;
+const MAX_ROWS = 500; // pages listed; aggregates and exports cover the whole range
+const MAX_DOMAINS = 20;
+
+let visits = [];
+
+function showStatus(message) {
+  statusEl.textContent = message;
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds} s`;
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+// [from, to) in epoch ms for the chosen days, both inclusive
+function selectedRange() {
+  const from = new Date(`${fromInput.value}T00:00`);
+  const to = new Date(`${toInput.value}T00:00`);
+  to.setDate(to.getDate() + 1);
+  return { from: from.getTime(), to: to.getTime() };
+}
+
+function cell(text, className) {
+  const td = document.createElement('td');
+  td.textContent = text;
+  if (className) td.className = className;
+  return td;
+}
+
+function emptyRow(body, columns, text) {
+  const tr = document.createElement('tr');
+  const td = cell(text, 'empty');
+  td.colSpan = columns;
+  tr.append(td);
+  body.append(tr);
+}
+
+function renderTotals(body, totals) {
+  body.replaceChildren();
+  if (!totals.length) {
+    emptyRow(body, 3, 'Nothing recorded');
+    return;
+  }
+  for (const total of totals) {
+    const tr = document.createElement('tr');
+    tr.append(cell(total.key), cell(String(total.visits), 'num'), cell(formatDuration(total.dwellMs), 'num'));
+    body.append(tr);
+  }
+}
+
+function renderVisits() {
+  visitsBody.replaceChildren();
+  if (!visits.length) {
+    emptyRow(visitsBody, 4, 'No pages in this range');
+    return;
+  }
+  for (const visit of visits.slice(0, MAX_ROWS)) {
+    const tr = document.createElement('tr');
+
+    const page = document.createElement('td');
+    page.className = 'page';
+    const title = document.createElement('div');
+    title.textContent = visit.title || visit.url || '(untitled)';
+    const domain = document.createElement('div');
+    domain.className = 'domain';
+    domain.textContent = visit.url && visit.title ? visit.url : visit.domain;
+    page.append(title, domain);
+
+    const remove = document.createElement('button');
+    remove.className = 'link';
+    remove.textContent = '✕';
+    remove.title = 'Delete this page';
+    remove.addEventListener('click', async () => {
+      await deleteVisit(visit.id);
+      log(LEVELS.INFO, 'TIMELINE', 'Visit deleted', { id: visit.id });
+      load();
+    });
+    const actions = document.createElement('td');
+    actions.append(remove);
+
+    const dwell = visit.end === null ? `${formatDuration(visit.dwellMs)} (open)` : formatDuration(visit.dwellMs);
+    tr.append(cell(new Date(visit.start).toLocaleString()), page, cell(dwell, 'num'), actions);
+    visitsBody.append(tr);
+  }
+  if (visits.length > MAX_ROWS) {
+    emptyRow(visitsBody, 4, `${visits.length - MAX_ROWS} older page(s) not shown – narrow the range or export`);
+  }
+}
+
+async function load() {
+  if (!fromInput.value || !toInput.value) return;
+  visits = await listVisits(selectedRange());
+  const { byDay, byDomain } = aggregateVisits(visits);
+  renderTotals(byDayBody, byDay);
+  renderTotals(byDomainBody, byDomain.slice(0, MAX_DOMAINS));
+  renderVisits();
+}
+
+function download(text, type, extension) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `thoth-timeline-${fromInput.value}-to-${toInput.value}.${extension}`;
+  link.click();
+  URL.revokeObjectURL(url);
+  showStatus(`Exported ${visits.length} page(s)`);
+}
+
+document.getElementById('export-json').addEventListener('click', () => {
+  download(exportVisits(visits, 'json'), 'application/json', 'json');
+});
+
+document.getElementById('export-csv').addEventListener('click', () => {
+  download(exportVisits(visits, 'csv'), 'text/csv', 'csv');
+});
+
+document.getElementById('clear-range').addEventListener('click', async () => {
+  if (!visits.length) return;
+  if (!confirm(`Delete ${visits.length} page(s) from ${fromInput.value} to ${toInput.value}?`)) return;
+  const deleted = await clearVisits(selectedRange());
+  log(LEVELS.INFO, 'TIMELINE', 'Visits cleared', { deleted });
+  showStatus(`Deleted ${deleted} page(s)`);
+  load();
+});
+
+fromInput.addEventListener('change', load);
+toInput.addEventListener('change', load);
+
+document.addEventListener('DOMContentLoaded', () => {
+  const start = new Date();
+  start.setDate(start.getDate() - (DEFAULT_DAYS - 1));
+  fromInput.value = dayOf(start.getTime());
+  toInput.value = dayOf(Date.now());
+  load();
+});
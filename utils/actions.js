@@ -0,0 +1,372 @@
+import { log, LEVELS } from './logger.js';
+import { normalizeUrl } from './dedupe.js';
+import { deliverMessage } from './notifier.js';
+
+/**
+ * Browser actions the backend may request in heartbeat and /active
+ * responses, as `actions: [{id, type, args, reason?}]`.
+ *
+ * Only the types in ACTION_SPECS exist; each validates its own arguments
+ * and nothing else is passed to Chrome. Whether an action runs is up to the
+ * user, per type: always, ask (an Allow / Deny notification) or never.
+ * Every request, whatever happened to it, goes to the audit log.
+ */
+
+export const ACTION_TYPES = {
+  OPEN_URL: 'open_url',
+  FOCUS_TAB: 'focus_tab',
+  GROUP_TABS: 'group_tabs',
+  HIGHLIGHT_TEXT: 'highlight_text',
+  SET_REMINDER: 'set_reminder',
+};
+
+export const CONSENT_LEVELS = {
+  ALWAYS: 'always',
+  ASK: 'ask',
+  NEVER: 'never',
+};
+
+export const ACTION_STATUS = {
+  EXECUTED: 'executed',
+  PENDING: 'pending', // waiting for the user to allow or deny it
+  DENIED: 'denied', // by the user, at the prompt
+  BLOCKED: 'blocked', // by the consent setting
+  EXPIRED: 'expired', // the prompt went unanswered
+  INVALID: 'invalid',
+  FAILED: 'failed',
+};
+
+// Per-type consent, synced so the choice follows the user
+export const ACTION_CONSENT_KEY = 'actionConsent';
+export const ACTION_LOG_KEY = 'actionLog';
+const PENDING_KEY = 'pendingActions';
+const REMINDERS_KEY = 'reminders';
+export const REMINDER_ALARM_PREFIX = 'reminder:';
+
+const MAX_LOG = 100;
+const PENDING_TTL_MS = 10 * 60 * 1000;
+const MAX_GROUP_URLS = 20;
+const MAX_HIGHLIGHT_LENGTH = 500;
+const MAX_REMINDER_MS = 30 * 24 * 60 * 60 * 1000;
+const GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+const webUrl = (url) => typeof url === 'string' && /^https?:\/\//i.test(url);
+const shortText = (value, max) => typeof value === 'string' && value.trim() && value.length <= max;
+
+/**
+ * What each action type takes. `validate` returns an error message, or null;
+ * `describe` is the line shown in the consent prompt and the audit log. An
+ * optional `resolve` turns valid args into what is stored and run, so a
+ * prompt answered later still does what it showed.
+ */
+export const ACTION_SPECS = {
+  [ACTION_TYPES.OPEN_URL]: {
+    label: 'Open a page in a new tab',
+    validate: (args) => (webUrl(args.url) ? null : 'url must be an http(s) URL'),
+    describe: (args) => `Open ${args.url}`,
+  },
+  [ACTION_TYPES.FOCUS_TAB]: {
+    label: 'Switch to an open tab',
+    validate: (args) => (webUrl(args.url) ? null : 'url must be an http(s) URL'),
+    describe: (args) => `Switch to ${args.url}`,
+  },
+  [ACTION_TYPES.GROUP_TABS]: {
+    label: 'Group related tabs',
+    validate: (args) => {
+      if (!Array.isArray(args.urls) || !args.urls.length || args.urls.length > MAX_GROUP_URLS) {
+        return `urls must list 1 to ${MAX_GROUP_URLS} pages`;
+      }
+      if (!args.urls.every(webUrl)) return 'urls must be http(s) URLs';
+      if (args.title !== undefined && !shortText(args.title, 40)) return 'title must be at most 40 characters';
+      if (args.color !== undefined && !GROUP_COLORS.includes(args.color)) return `color must be one of ${GROUP_COLORS.join(', ')}`;
+      return null;
+    },
+    describe: (args) => `Group ${args.urls.length} tab(s)${args.title ? ` as "${args.title}"` : ''}`,
+  },
+  [ACTION_TYPES.HIGHLIGHT_TEXT]: {
+    label: 'Highlight a passage in a page',
+    validate: (args) => {
+      if (!shortText(args.text, MAX_HIGHLIGHT_LENGTH)) return `text must be 1 to ${MAX_HIGHLIGHT_LENGTH} characters`;
+      if (args.url !== undefined && !webUrl(args.url)) return 'url must be an http(s) URL';
+      return null;
+    },
+    describe: (args) => `Highlight "${args.text.length > 60 ? `${args.text.slice(0, 60)}…` : args.text}"`,
+  },
+  [ACTION_TYPES.SET_REMINDER]: {
+    label: 'Set a reminder',
+    validate: (args) => {
+      if (!shortText(args.message, 300)) return 'message must be 1 to 300 characters';
+      if (args.title !== undefined && !shortText(args.title, 80)) return 'title must be 1 to 80 characters';
+      if (args.url !== undefined && !webUrl(args.url)) return 'url must be an http(s) URL';
+      const when = reminderTime(args);
+      if (when === null) return 'at (ISO time) or delay_minutes is required';
+      if (when <= Date.now() || when - Date.now() > MAX_REMINDER_MS) return 'reminder must be within the next 30 days';
+      return null;
+    },
+    describe: (args) => `Remind you at ${new Date(reminderTime(args)).toLocaleString()}: ${args.message}`,
+    // A delay counts from when the server asked, not from when the user approves
+    resolve: (args) => {
+      const resolved = { ...args, at: new Date(reminderTime(args)).toISOString() };
+      delete resolved.delay_minutes;
+      return resolved;
+    },
+  },
+};
+
+export const DEFAULT_CONSENT = Object.fromEntries(Object.keys(ACTION_SPECS).map((type) => [type, CONSENT_LEVELS.ASK]));
+
+function reminderTime(args) {
+  if (Number.isInteger(args.delay_minutes) && args.delay_minutes > 0) return Date.now() + args.delay_minutes * 60 * 1000;
+  if (typeof args.at === 'string') {
+    const at = Date.parse(args.at);
+    return Number.isNaN(at) ? null : at;
+  }
+  return null;
+}
+
+/**
+ * Check a requested action against the whitelist.
+ * @param {object} raw - As sent by the server
+ * @returns {{action: {id: string|null, type: string, args: object, reason: string|null}, error: string|null}}
+ *   `action` is filled in as far as possible even when invalid, for the log
+ */
+export function validateAction(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const action = {
+    // The server's id is what recognises a repeated request, so it is required
+    id: typeof source.id === 'string' && source.id ? source.id : null,
+    type: typeof source.type === 'string' ? source.type : 'unknown',
+    args: source.args && typeof source.args === 'object' && !Array.isArray(source.args) ? source.args : {},
+    reason: typeof source.reason === 'string' ? source.reason.slice(0, 200) : null,
+  };
+  const spec = ACTION_SPECS[action.type];
+  if (!action.id) return { action, error: 'id is required' };
+  if (!spec) return { action, error: `Unknown action type "${action.type}"` };
+  const error = spec.validate(action.args);
+  if (!error && spec.resolve) action.args = spec.resolve(action.args);
+  return { action, error };
+}
+
+/**
+ * @param {{type: string, args: object}} action - A valid action
+ * @returns {string}
+ */
+export function describeAction(action) {
+  const spec = ACTION_SPECS[action.type];
+  return spec ? spec.describe(action.args) : action.type;
+}
+
+export async function getActionConsent() {
+  const result = await chrome.storage.sync.get(ACTION_CONSENT_KEY);
+  return { ...DEFAULT_CONSENT, ...(result[ACTION_CONSENT_KEY] || {}) };
+}
+
+/**
+ * @param {string} type - One of ACTION_TYPES
+ * @param {string} level - One of CONSENT_LEVELS
+ */
+export async function setActionConsent(type, level) {
+  if (!ACTION_SPECS[type]) throw new Error(`Unknown action type "${type}"`);
+  if (!Object.values(CONSENT_LEVELS).includes(level)) throw new Error(`Unknown consent level "${level}"`);
+  const consent = await getActionConsent();
+  consent[type] = level;
+  await chrome.storage.sync.set({ [ACTION_CONSENT_KEY]: consent });
+}
+
+// ---- Audit log --------------------------------------------------------------
+
+export async function getActionLog() {
+  const result = await chrome.storage.local.get(ACTION_LOG_KEY);
+  return result[ACTION_LOG_KEY] || [];
+}
+
+/**
+ * Whether an action id was seen before. Servers repeat actions until they
+ * learn the outcome, and each must run at most once.
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ */
+export async function isKnownAction(id) {
+  return (await getActionLog()).some((entry) => entry.id === id);
+}
+
+/**
+ * Record what happened to an action; a later status for the same id (the
+ * user answered the prompt) replaces the earlier one.
+ * @param {object} action - Without an id (rejected as invalid) it gets an entry of its own
+ * @param {string} status - One of ACTION_STATUS
+ * @param {{source?: string, consent?: string, error?: string}} [details] - `consent`
+ *   says what allowed an executed action: 'always' (the setting) or 'approved' (the user, at the prompt)
+ */
+export async function logAction(action, status, { source, consent, error } = {}) {
+  const history = await getActionLog();
+  const previous = action.id && history.find((entry) => entry.id === action.id);
+  const entry = {
+    id: action.id || crypto.randomUUID(),
+    type: action.type,
+    args: action.args,
+    reason: action.reason,
+    summary: ACTION_SPECS[action.type] && !error ? describeAction(action) : action.type,
+    source: source || (previous && previous.source) || null,
+    consent: consent || null,
+    status,
+    error: error || null,
+    at: Date.now(),
+  };
+  const updated = [entry, ...history.filter((e) => e.id !== entry.id)].slice(0, MAX_LOG);
+  await chrome.storage.local.set({ [ACTION_LOG_KEY]: updated });
+  log(LEVELS.INFO, 'ACTIONS', `Action ${status}`, { id: action.id, type: action.type, error });
+}
+
+export async function clearActionLog() {
+  await chrome.storage.local.remove(ACTION_LOG_KEY);
+}
+
+// ---- Consent prompts ----------------------------------------------------------
+
+/**
+ * Remember an action awaiting the user's answer to prompt `promptId`.
+ * Kept in session storage: prompts do not survive a browser restart.
+ */
+export async function savePendingAction(promptId, action) {
+  const { [PENDING_KEY]: pending = {} } = await chrome.storage.session.get(PENDING_KEY);
+  pending[promptId] = { action, askedAt: Date.now() };
+  await chrome.storage.session.set({ [PENDING_KEY]: pending });
+}
+
+/**
+ * Take the action behind a prompt out of the pending set.
+ * @param {string} promptId
+ * @returns {Promise<{action: object, expired: boolean}|null>} null when the
+ *   prompt is not an action prompt, or was answered already
+ */
+export async function takePendingAction(promptId) {
+  const { [PENDING_KEY]: pending = {} } = await chrome.storage.session.get(PENDING_KEY);
+  const entry = pending[promptId];
+  if (!entry) return null;
+  delete pending[promptId];
+  await chrome.storage.session.set({ [PENDING_KEY]: pending });
+  return { action: entry.action, expired: Date.now() - entry.askedAt > PENDING_TTL_MS };
+}
+
+// ---- Execution ------------------------------------------------------------------
+
+/**
+ * An open tab showing `url`, ignoring tracking parameters and anchors.
+ * @param {string} url
+ * @returns {Promise<chrome.tabs.Tab|undefined>}
+ */
+export async function findTabByUrl(url) {
+  const target = normalizeUrl(url);
+  const tabs = await chrome.tabs.query({});
+  return tabs.find((tab) => tab.url && normalizeUrl(tab.url) === target);
+}
+
+async function focusTab(tab) {
+  await chrome.tabs.update(tab.id, { active: true });
+  await chrome.windows.update(tab.windowId, { focused: true });
+}
+
+/**
+ * Highlight the first occurrence of `text` in the page and scroll to it.
+ *
+ * IMPORTANT: injected with chrome.scripting.executeScript, so it must be
+ * fully self-contained – no imports, no references outside its own body.
+ *
+ * @param {string} text
+ * @returns {boolean} Whether the text was found
+ */
+export function highlightText(text) {
+  const needle = text.trim().toLowerCase();
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => (node.parentElement && !node.parentElement.closest('script, style, noscript')
+      ? NodeFilter.FILTER_ACCEPT
+      : NodeFilter.FILTER_REJECT),
+  });
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const index = node.data.toLowerCase().indexOf(needle);
+    if (index === -1) continue;
+    const range = document.createRange();
+    range.setStart(node, index);
+    range.setEnd(node, index + needle.length);
+    const mark = document.createElement('mark');
+    mark.style.cssText = 'background: #ffeb3b; color: inherit; padding: 0 2px; border-radius: 2px;';
+    range.surroundContents(mark);
+    mark.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    return true;
+  }
+  return false;
+}
+
+const executors = {
+  async [ACTION_TYPES.OPEN_URL](args) {
+    await chrome.tabs.create({ url: args.url });
+  },
+
+  async [ACTION_TYPES.FOCUS_TAB](args) {
+    const tab = await findTabByUrl(args.url);
+    if (!tab) throw new Error('No open tab shows this page');
+    await focusTab(tab);
+  },
+
+  async [ACTION_TYPES.GROUP_TABS](args) {
+    const tabs = [];
+    for (const url of args.urls) {
+      const tab = await findTabByUrl(url);
+      if (tab && !tabs.some((t) => t.id === tab.id)) tabs.push(tab);
+    }
+    if (!tabs.length) throw new Error('None of the pages are open');
+    const groupId = await chrome.tabs.group({ tabIds: tabs.map((tab) => tab.id) });
+    await chrome.tabGroups.update(groupId, {
+      ...(args.title && { title: args.title }),
+      ...(args.color && { color: args.color }),
+    });
+  },
+
+  async [ACTION_TYPES.HIGHLIGHT_TEXT](args) {
+    let tab;
+    if (args.url) {
+      tab = await findTabByUrl(args.url);
+    } else {
+      [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    }
+    if (!tab || !webUrl(tab.url)) throw new Error('No page to highlight in');
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: highlightText,
+      args: [args.text],
+    });
+    if (!injection || !injection.result) throw new Error('Text not found on the page');
+    await focusTab(tab);
+  },
+
+  async [ACTION_TYPES.SET_REMINDER](args, action) {
+    const { [REMINDERS_KEY]: reminders = {} } = await chrome.storage.local.get(REMINDERS_KEY);
+    reminders[action.id] = { title: args.title || 'Thoth reminder', message: args.message, url: args.url || null };
+    await chrome.storage.local.set({ [REMINDERS_KEY]: reminders });
+    chrome.alarms.create(`${REMINDER_ALARM_PREFIX}${action.id}`, { when: reminderTime(args) });
+  },
+};
+
+/**
+ * Carry out a valid, consented action.
+ * @param {{id: string, type: string, args: object}} action
+ * @throws {Error} When it could not be done
+ */
+export async function executeAction(action) {
+  await executors[action.type](action.args, action);
+}
+
+/**
+ * Show a reminder whose alarm went off.
+ * @param {string} alarmName - REMINDER_ALARM_PREFIX + action id
+ */
+export async function fireReminder(alarmName) {
+  const id = alarmName.slice(REMINDER_ALARM_PREFIX.length);
+  const { [REMINDERS_KEY]: reminders = {} } = await chrome.storage.local.get(REMINDERS_KEY);
+  const reminder = reminders[id];
+  if (!reminder) return;
+  delete reminders[id];
+  await chrome.storage.local.set({ [REMINDERS_KEY]: reminders });
+  await deliverMessage(reminder.title, reminder.message, { url: reminder.url });
+}
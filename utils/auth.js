@@ -0,0 +1,153 @@
+import { log, LEVELS } from './logger.js';
+
+/**
+ * Auth token lifecycle for the Thoth Chrome Extension.
+ * Stores the access token returned by /token together with its expiry and an
+ * optional refresh token, and exchanges the refresh token for a new access
+ * token before (or after) the old one expires.
+ */
+
+export const AUTH_TOKEN_KEY = 'authToken';
+export const REFRESH_TOKEN_KEY = 'refreshToken';
+export const TOKEN_EXPIRY_KEY = 'authTokenExpiresAt';
+// How the tokens were obtained: 'password' (/token) or 'oidc' (SSO); decides where to refresh them
+export const AUTH_METHOD_KEY = 'authMethod';
+// 'authenticated' | 'expired' | 'logged_out' | 'server_changed'; lets the popup explain why it shows the login form
+export const AUTH_STATE_KEY = 'authState';
+
+export const AUTH_STATES = {
+  AUTHENTICATED: 'authenticated',
+  EXPIRED: 'expired',
+  LOGGED_OUT: 'logged_out',
+  // Tokens are not portable, so switching servers ends the session
+  SERVER_CHANGED: 'server_changed',
+};
+
+// Refresh this long before the access token actually expires
+export const REFRESH_SKEW_MS = 2 * 60 * 1000;
+
+/**
+ * Read the expiry of a JWT access token without verifying it.
+ * @param {string} token
+ * @returns {number|null} Expiry as epoch milliseconds, or null if unknown
+ */
+export function decodeTokenExpiry(token) {
+  try {
+    const [, payload] = token.split('.');
+    const json = atob(payload.replace(/-/g, '+').replace(/_/g, '/'));
+    const { exp } = JSON.parse(json);
+    return typeof exp === 'number' ? exp * 1000 : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Persist the tokens from a /token (or identity provider) response.
+ * @param {{access_token: string, refresh_token?: string, expires_in?: number}} data
+ * @param {'password'|'oidc'} [method] - How the tokens were obtained
+ * @returns {Promise<number|null>} Expiry of the new access token, if known
+ */
+export async function storeTokens(data, method = 'password') {
+  const expiresAt = data.expires_in
+    ? Date.now() + data.expires_in * 1000
+    : decodeTokenExpiry(data.access_token);
+  await chrome.storage.local.set({
+    [AUTH_TOKEN_KEY]: data.access_token,
+    [TOKEN_EXPIRY_KEY]: expiresAt,
+    [AUTH_STATE_KEY]: AUTH_STATES.AUTHENTICATED,
+    [AUTH_METHOD_KEY]: method,
+    // Servers that rotate refresh tokens send a new one; others keep the old one valid
+    ...(data.refresh_token && { [REFRESH_TOKEN_KEY]: data.refresh_token }),
+  });
+  return expiresAt;
+}
+
+/**
+ * Forget all tokens.
+ * @param {string} state - Why: AUTH_STATES.EXPIRED, LOGGED_OUT or SERVER_CHANGED
+ */
+export async function clearTokens(state) {
+  await chrome.storage.local.remove([AUTH_TOKEN_KEY, REFRESH_TOKEN_KEY, TOKEN_EXPIRY_KEY, AUTH_METHOD_KEY]);
+  await chrome.storage.local.set({ [AUTH_STATE_KEY]: state });
+}
+
+export async function getTokenInfo() {
+  const result = await chrome.storage.local.get([AUTH_TOKEN_KEY, REFRESH_TOKEN_KEY, TOKEN_EXPIRY_KEY, AUTH_METHOD_KEY]);
+  return {
+    token: result[AUTH_TOKEN_KEY],
+    refreshToken: result[REFRESH_TOKEN_KEY],
+    expiresAt: result[TOKEN_EXPIRY_KEY] || null,
+    method: result[AUTH_METHOD_KEY] || 'password',
+  };
+}
+
+/**
+ * Whether a token with the given expiry should be refreshed now.
+ * @param {number|null} expiresAt
+ * @returns {boolean}
+ */
+export function isExpiringSoon(expiresAt) {
+  return !!expiresAt && Date.now() >= expiresAt - REFRESH_SKEW_MS;
+}
+
+/**
+ * Error for a failed token response, carrying the HTTP status and the OAuth
+ * error code (e.g. 'invalid_grant') when the body has one.
+ * @param {Response} res
+ * @param {string} message
+ * @returns {Promise<Error & {status: number, code?: string}>}
+ */
+export async function tokenRequestError(res, message) {
+  const err = new Error(`${message}: ${res.status}`);
+  err.status = res.status;
+  try {
+    const body = await res.json();
+    if (body && typeof body.error === 'string') err.code = body.error;
+  } catch (_) {
+    // Not JSON – the status has to do
+  }
+  return err;
+}
+
+/**
+ * Whether a failed refresh means the refresh token itself was turned down
+ * (revoked or expired), so the session is over. Network errors and server
+ * failures are not: the refresh is simply tried again later.
+ * @param {Error & {status?: number, code?: string}} err
+ * @returns {boolean}
+ */
+export function isRefreshRejected(err) {
+  const status = err && err.status;
+  if (status === 401) return true;
+  return status === 400 && (!err.code || err.code === 'invalid_grant');
+}
+
+/**
+ * Exchange the stored refresh token for a new access token at /token.
+ * @param {string} apiBase - Server base URL
+ * @param {string} [deviceId]
+ * @returns {Promise<string>} The new access token
+ */
+export async function refreshAccessToken(apiBase, deviceId) {
+  const { refreshToken } = await getTokenInfo();
+  if (!refreshToken) throw new Error('No refresh token available');
+
+  const res = await fetch(`${apiBase}/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+      device_id: deviceId || undefined,
+    }),
+  });
+  if (!res.ok) {
+    throw await tokenRequestError(res, 'Token refresh failed');
+  }
+  const data = await res.json();
+  if (!data.access_token) throw new Error('No token received');
+  await storeTokens(data);
+  log(LEVELS.INFO, 'AUTH', 'Access token refreshed');
+  return data.access_token;
+}
@@ -0,0 +1,92 @@
+/**
+ * Chat with Thoth about the current tab: per-tab conversation history, kept
+ * in session storage so it lasts until the browser closes, and decoding of
+ * the streamed /ask response.
+ */
+
+export const CHAT_PORT_NAME = 'chat';
+
+const HISTORY_PREFIX = 'chatHistory:';
+const MAX_STORED_MESSAGES = 50;
+// Earlier turns sent along with a question, so follow-ups have context
+export const MAX_CONTEXT_MESSAGES = 10;
+
+const historyKey = (tabId) => `${HISTORY_PREFIX}${tabId}`;
+
+/**
+ * @param {number} tabId
+ * @returns {Promise<Array<{role: 'user'|'assistant', content: string, at: number}>>}
+ */
+export async function getChatHistory(tabId) {
+  const key = historyKey(tabId);
+  const result = await chrome.storage.session.get(key);
+  return result[key] || [];
+}
+
+/**
+ * @param {number} tabId
+ * @param {{role: 'user'|'assistant', content: string}} message
+ */
+export async function appendChatMessage(tabId, message) {
+  const history = await getChatHistory(tabId);
+  history.push({ ...message, at: Date.now() });
+  await chrome.storage.session.set({ [historyKey(tabId)]: history.slice(-MAX_STORED_MESSAGES) });
+}
+
+export async function clearChatHistory(tabId) {
+  await chrome.storage.session.remove(historyKey(tabId));
+}
+
+function deltaFromEvent(data) {
+  try {
+    const event = JSON.parse(data);
+    return typeof event === 'string' ? event : event.delta || event.response || '';
+  } catch (_) {
+    return data;
+  }
+}
+
+/**
+ * Yield the answer text of an /ask response as it arrives. Understands
+ * server-sent events (`data: {"delta": "..."}`, ended by `data: [DONE]`),
+ * plain streamed text, and a non-streaming JSON `{response}` body.
+ * @param {Response} response
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* readAnswerStream(response) {
+  const type = response.headers.get('Content-Type') || '';
+  if (type.includes('application/json')) {
+    const data = await response.json();
+    if (data && typeof data.response === 'string') yield data.response;
+    return;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const isEventStream = type.includes('text/event-stream');
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    const text = decoder.decode(value, { stream: true });
+    if (!isEventStream) {
+      yield text;
+      continue;
+    }
+    buffer += text;
+    // Events are separated by a blank line; keep any incomplete tail for later
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+    for (const event of events) {
+      const data = event
+        .split(/\r?\n/)
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).replace(/^ /, ''))
+        .join('\n');
+      if (!data) continue;
+      if (data === '[DONE]') return;
+      const delta = deltaFromEvent(data);
+      if (delta) yield delta;
+    }
+  }
+}
@@ -0,0 +1,177 @@
+import { log, LEVELS } from './logger.js';
+
+/**
+ * De-duplication and throttling for /active uploads.
+ * A per-device cache keyed by normalised URL remembers the hash of the last
+ * content sent, so the same page is only uploaded again once it has changed
+ * or the entry has expired. A sliding-window limit caps uploads per minute.
+ */
+
+export const UPLOAD_CACHE_KEY = 'uploadCache';
+export const UPLOAD_STATS_KEY = 'uploadStats';
+
+const CACHE_TTL_MS = 30 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+const MAX_UPLOADS_PER_MINUTE = 10;
+const STATS_LOG_EVERY = 25;
+
+// Query parameters that identify a campaign or click, not a page
+const TRACKING_PARAMS = /^(?:utm_\w+|fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|igshid|mc_cid|mc_eid|_ga|_gl|_hsenc|_hsmi|mkt_tok|ref|ref_src|ref_url|spm|si|vero_id|oly_anon_id|oly_enc_id)$/i;
+
+let uploadTimestamps = [];
+let stats = null;
+// Serialise read-modify-write cycles on the stored cache
+let cacheLock = Promise.resolve();
+
+function withCacheLock(fn) {
+  const run = cacheLock.then(fn, fn);
+  cacheLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Whether a URL fragment is an SPA route ("#/inbox", "#!/issue/1",
+ * "#inbox/FMfcg") rather than an in-page anchor ("#section-2").
+ * @param {string} hash - Fragment including the leading "#"
+ * @returns {boolean}
+ */
+export function isRouteFragment(hash) {
+  return /^#!?\//.test(hash) || /^#[^/]+\/./.test(hash);
+}
+
+/**
+ * Normalise a URL for cache lookups: lower-case host, no tracking parameters,
+ * sorted query, no trailing slash and no in-page anchor.
+ * @param {string} url
+ * @returns {string}
+ */
+export function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hostname = parsed.hostname.toLowerCase();
+    for (const name of [...parsed.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(name)) parsed.searchParams.delete(name);
+    }
+    parsed.searchParams.sort();
+    // Keep SPA routes ("#/inbox"), drop anchors ("#top")
+    if (!isRouteFragment(parsed.hash)) parsed.hash = '';
+    if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+      parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+    }
+    return parsed.toString();
+  } catch (_) {
+    return url || '';
+  }
+}
+
+/**
+ * SHA-256 of a string, hex encoded.
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+export async function hashContent(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function loadStats() {
+  if (!stats) {
+    const result = await chrome.storage.local.get(UPLOAD_STATS_KEY);
+    stats = { sent: 0, skipped_duplicate: 0, deferred_rate_limited: 0, ...(result[UPLOAD_STATS_KEY] || {}) };
+  }
+  return stats;
+}
+
+/**
+ * Count an upload decision and log a running summary.
+ * @param {'sent'|'skipped_duplicate'|'deferred_rate_limited'} outcome
+ * @param {object} [context] - Extra fields for the debug log line
+ */
+export function recordUploadOutcome(outcome, context = {}) {
+  return withCacheLock(async () => {
+    const current = await loadStats();
+    current[outcome] = (current[outcome] || 0) + 1;
+    await chrome.storage.local.set({ [UPLOAD_STATS_KEY]: current });
+
+    log(LEVELS.DEBUG, 'DEDUPE', `Upload ${outcome}`, { ...context, stats: current });
+    const total = current.sent + current.skipped_duplicate + current.deferred_rate_limited;
+    if (total % STATS_LOG_EVERY === 0) {
+      log(LEVELS.INFO, 'DEDUPE', 'Upload stats', current);
+    }
+  });
+}
+
+export async function getUploadStats() {
+  return { ...(await loadStats()) };
+}
+
+async function loadCache() {
+  const result = await chrome.storage.local.get(UPLOAD_CACHE_KEY);
+  return result[UPLOAD_CACHE_KEY] || {};
+}
+
+// Prune expired entries and evict the oldest beyond the size cap
+async function saveCache(cache, now) {
+  const live = Object.entries(cache)
+    .filter(([, entry]) => now - entry.at < CACHE_TTL_MS)
+    .sort((a, b) => b[1].at - a[1].at)
+    .slice(0, MAX_CACHE_ENTRIES);
+  await chrome.storage.local.set({ [UPLOAD_CACHE_KEY]: Object.fromEntries(live) });
+}
+
+/**
+ * Reserve an upload of `hash` for this URL, unless identical content was
+ * already sent (or reserved) within the TTL. Checking and reserving happen in
+ * one locked step, so tabs loading the same page at once upload it only once.
+ * @param {string} key - From normalizeUrl()
+ * @param {string} hash - From hashContent()
+ * @returns {Promise<(() => Promise<void>)|null>} null for a duplicate, otherwise
+ *   a function that gives the reservation back when the upload fails; it never rejects
+ */
+export function claimUpload(key, hash) {
+  return withCacheLock(async () => {
+    const now = Date.now();
+    const cache = await loadCache();
+    const previous = cache[key];
+    if (previous && previous.hash === hash && now - previous.at < CACHE_TTL_MS) return null;
+    cache[key] = { hash, at: now };
+    await saveCache(cache, now);
+
+    return () => withCacheLock(async () => {
+      const current = await loadCache();
+      // Leave the entry alone if a later upload has replaced the reservation
+      if (current[key]?.hash !== hash || current[key].at !== now) return;
+      if (previous) current[key] = previous;
+      else delete current[key];
+      await saveCache(current, Date.now());
+    }).catch((err) => {
+      log(LEVELS.WARN, 'DEDUPE', 'Failed to release upload reservation', { error: err?.message });
+    });
+  });
+}
+
+/**
+ * Remember that content was sent for a URL.
+ * @param {string} key
+ * @param {string} hash
+ */
+export function rememberUpload(key, hash) {
+  return withCacheLock(async () => {
+    const now = Date.now();
+    const cache = await loadCache();
+    cache[key] = { hash, at: now };
+    await saveCache(cache, now);
+  });
+}
+
+/**
+ * Take a slot from the global upload budget.
+ * @returns {boolean} false when the per-minute limit has been reached
+ */
+export function tryAcquireUploadSlot() {
+  const now = Date.now();
+  uploadTimestamps = uploadTimestamps.filter((at) => now - at < 60 * 1000);
+  if (uploadTimestamps.length >= MAX_UPLOADS_PER_MINUTE) return false;
+  uploadTimestamps.push(now);
+  return true;
+}
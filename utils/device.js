@@ -0,0 +1,135 @@
+import { log, LEVELS } from './logger.js';
+
+/**
+ * Device identity for the Thoth Chrome Extension: the user-chosen name, the
+ * browser / OS / profile details detected at runtime, and the backend's
+ * registry of the account's devices. The UUID from getOrCreateDeviceId in
+ * background.js stays the stable key; everything here is descriptive.
+ */
+
+export const DEVICE_TYPE = 'browser';
+
+const OS_NAMES = {
+  mac: 'macOS',
+  win: 'Windows',
+  linux: 'Linux',
+  cros: 'ChromeOS',
+  android: 'Android',
+  openbsd: 'OpenBSD',
+  fuchsia: 'Fuchsia',
+};
+
+// Brands that identify the actual browser rather than the Chromium engine
+const IGNORED_BRANDS = /^(Chromium|Not.A.Brand)$/i;
+
+async function detectBrowser() {
+  const uaData = navigator.userAgentData;
+  if (!uaData) {
+    const match = /Chrome\/([\d.]+)/.exec(navigator.userAgent);
+    return { name: 'Chrome', version: match ? match[1] : null };
+  }
+  let brands = uaData.brands;
+  try {
+    ({ fullVersionList: brands } = await uaData.getHighEntropyValues(['fullVersionList']));
+  } catch (_) {
+    // Fall back to the low-entropy major versions
+  }
+  const brand = brands.find((b) => !IGNORED_BRANDS.test(b.brand) && b.brand !== 'Google Chrome')
+    || brands.find((b) => b.brand === 'Google Chrome')
+    || brands.find((b) => b.brand === 'Chromium')
+    || { brand: 'Chrome', version: null };
+  return { name: brand.brand.replace(/^Google /, ''), version: brand.version };
+}
+
+async function detectOs() {
+  const { os, arch } = await chrome.runtime.getPlatformInfo();
+  let version = null;
+  try {
+    ({ platformVersion: version } = await navigator.userAgentData.getHighEntropyValues(['platformVersion']));
+  } catch (_) {
+    // Not available in every context; the OS name is enough to tell devices apart
+  }
+  return { name: OS_NAMES[os] || os, arch, version: version || null };
+}
+
+// Deliberately nothing that identifies the person (e.g. the profile's email)
+async function detectProfile() {
+  return {
+    incognito_allowed: await chrome.extension.isAllowedIncognitoAccess(),
+  };
+}
+
+/**
+ * Browser, OS and profile details sent with the device at login and in full
+ * heartbeats.
+ * @returns {Promise<{browser: object, os: object, profile: object, extension_version: string}>}
+ */
+export async function getDeviceMetadata() {
+  const [browser, os, profile] = await Promise.all([detectBrowser(), detectOs(), detectProfile()]);
+  return { browser, os, profile, extension_version: chrome.runtime.getManifest().version };
+}
+
+/**
+ * The name shown for this device: the user's choice, or e.g. "Chrome on macOS".
+ * @param {string} configured - The deviceName setting; empty for automatic
+ * @param {object} [metadata] - From getDeviceMetadata()
+ * @returns {Promise<string>}
+ */
+export async function resolveDeviceName(configured, metadata) {
+  if (configured) return configured;
+  const { browser, os } = metadata || (await getDeviceMetadata());
+  return `${browser.name} on ${os.name}`;
+}
+
+async function registryRequest(apiBase, token, path, options = {}) {
+  const response = await fetch(`${apiBase}/devices${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`,
+    },
+  });
+  if (!response.ok) {
+    const err = new Error(`Device request failed: ${response.status}`);
+    err.status = response.status;
+    throw err;
+  }
+  return response.status === 204 ? null : response.json();
+}
+
+/**
+ * Devices registered to the logged-in account.
+ * @param {string} apiBase
+ * @param {string} token
+ * @returns {Promise<Array<{device_id: string, device_name: string, device_type: string, last_seen: string|null, metadata?: object}>>}
+ */
+export async function listDevices(apiBase, token) {
+  const data = await registryRequest(apiBase, token, '');
+  // Accept both a bare array and { devices: [...] }
+  return Array.isArray(data) ? data : (data?.devices || []);
+}
+
+/**
+ * @param {string} apiBase
+ * @param {string} token
+ * @param {string} deviceId
+ * @param {string} name
+ */
+export async function renameDevice(apiBase, token, deviceId, name) {
+  await registryRequest(apiBase, token, `/${encodeURIComponent(deviceId)}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ device_name: name }),
+  });
+  log(LEVELS.INFO, 'DEVICE', 'Device renamed', { deviceId, name });
+}
+
+/**
+ * Revoke a device: the backend invalidates its tokens and forgets it.
+ * @param {string} apiBase
+ * @param {string} token
+ * @param {string} deviceId
+ */
+export async function revokeDevice(apiBase, token, deviceId) {
+  await registryRequest(apiBase, token, `/${encodeURIComponent(deviceId)}`, { method: 'DELETE' });
+  log(LEVELS.INFO, 'DEVICE', 'Device revoked', { deviceId });
+}
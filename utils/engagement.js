@@ -0,0 +1,256 @@
+import { log, LEVELS } from './logger.js';
+
+/**
+ * Whether the user actually read a page: scroll depth, reading time and
+ * interactions, measured in the page and reported once per visit when the
+ * user navigates away or closes the tab.
+ */
+
+// Per-tab visit being measured, so a suspended service worker can carry on
+const VISITS_KEY = 'engagementVisits';
+
+/**
+ * Measure engagement on the current page and report cumulative snapshots to
+ * the background as MESSAGE_TYPES.ENGAGEMENT whenever the page is hidden or
+ * unloaded – never on a timer, which would keep the service worker awake.
+ * Only injected on sites captured in full. Calling it again in the same document
+ * (an SPA route change) ends the previous visit and starts a new one.
+ *
+ * Only counts are kept: no keystrokes, field values or selected text leave
+ * the page.
+ *
+ * IMPORTANT: injected with chrome.scripting.executeScript, so it must be
+ * fully self-contained – no imports, no references outside its own body.
+ *
+ * @param {string} visitId - Issued by startEngagement
+ * @returns {{previous: object|null}} Final snapshot of the visit this call
+ *   ended, when the tracker was already running in this document
+ */
+export function trackEngagement(visitId) {
+  const MESSAGE_TYPE = 'engagement'; // MESSAGE_TYPES.ENGAGEMENT
+  const TICK_MS = 1000;
+  // No scrolling, pointer or key activity for this long counts as not reading
+  const IDLE_AFTER_MS = 60000;
+
+  if (window.__thothEngagement) {
+    return { previous: window.__thothEngagement.restart(visitId) };
+  }
+
+  const scrollDepth = () => {
+    const total = Math.max(document.documentElement.scrollHeight, document.body ? document.body.scrollHeight : 0);
+    if (!total) return 1;
+    return Math.min(1, (window.scrollY + window.innerHeight) / total);
+  };
+
+  let state;
+  let lastActivity = Date.now();
+  let lastSelection = '';
+
+  const reset = (id) => {
+    state = {
+      visitId: id,
+      scrollDepth: scrollDepth(),
+      readingMs: 0,
+      selections: 0,
+      copies: 0,
+      fields: new WeakSet(),
+      formFields: 0,
+      formInteractions: 0,
+      formSubmits: 0,
+      dirty: true,
+    };
+  };
+
+  const timers = [];
+  const listeners = [];
+  const on = (target, type, listener, options) => {
+    target.addEventListener(type, listener, options);
+    listeners.push([target, type, listener, options]);
+  };
+  const stop = () => {
+    timers.forEach(clearInterval);
+    listeners.forEach(([target, type, listener, options]) => target.removeEventListener(type, listener, options));
+    delete window.__thothEngagement;
+  };
+
+  const snapshot = () => ({
+    visit_id: state.visitId,
+    scroll_depth: Math.round(state.scrollDepth * 100) / 100,
+    reading_ms: state.readingMs,
+    selections: state.selections,
+    copies: state.copies,
+    form_fields: state.formFields,
+    form_interactions: state.formInteractions,
+    form_submits: state.formSubmits,
+  });
+
+  const flush = () => {
+    if (!state.dirty) return;
+    state.dirty = false;
+    const failed = () => {
+      // The extension was reloaded or removed: this copy is orphaned
+      if (!chrome.runtime || !chrome.runtime.id) stop();
+      else state.dirty = true;
+    };
+    try {
+      chrome.runtime.sendMessage({ type: MESSAGE_TYPE, snapshot: snapshot() }).catch(failed);
+    } catch (_) {
+      failed();
+    }
+  };
+
+  const changed = (update) => {
+    update();
+    state.dirty = true;
+  };
+
+  const activity = () => {
+    lastActivity = Date.now();
+  };
+
+  reset(visitId);
+
+  // Reading time: visible, focused and recently used
+  timers.push(setInterval(() => {
+    if (document.visibilityState === 'visible' && document.hasFocus() && Date.now() - lastActivity < IDLE_AFTER_MS) {
+      changed(() => { state.readingMs += TICK_MS; });
+    }
+  }, TICK_MS));
+
+  ['mousemove', 'pointerdown', 'keydown', 'wheel', 'touchstart'].forEach((type) => {
+    on(window, type, activity, { capture: true, passive: true });
+  });
+
+  on(window, 'scroll', () => {
+    activity();
+    const depth = scrollDepth();
+    if (depth > state.scrollDepth) changed(() => { state.scrollDepth = depth; });
+  }, { passive: true });
+
+  // A selection is counted once it is finished, and only if it is a new one
+  const onSelectionEnd = () => {
+    const selection = String(window.getSelection() || '');
+    if (selection.trim() && selection !== lastSelection) changed(() => { state.selections++; });
+    lastSelection = selection;
+  };
+  on(document, 'mouseup', onSelectionEnd, true);
+  on(document, 'keyup', onSelectionEnd, true);
+
+  on(document, 'copy', () => changed(() => { state.copies++; }), true);
+
+  const isFormField = (el) => el && (/^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName) || el.isContentEditable);
+  const onFieldUsed = (event) => {
+    const field = event.target;
+    if (!isFormField(field)) return;
+    changed(() => {
+      state.formInteractions++;
+      if (!state.fields.has(field)) {
+        state.fields.add(field);
+        state.formFields++;
+      }
+    });
+  };
+  on(document, 'input', onFieldUsed, true);
+  on(document, 'change', onFieldUsed, true);
+  on(document, 'submit', () => changed(() => { state.formSubmits++; }), true);
+
+  // Reported when the user leaves: another tab, another window, or another page
+  on(document, 'visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flush();
+  });
+  on(window, 'pagehide', flush);
+
+  window.__thothEngagement = {
+    restart(id) {
+      const previous = snapshot();
+      reset(id);
+      lastSelection = '';
+      return previous;
+    },
+  };
+  return { previous: null };
+}
+
+// ---- Background side ------------------------------------------------------
+
+let pendingUpdate = Promise.resolve(); // visit changes run one at a time
+
+function serialize(fn) {
+  const run = pendingUpdate.then(fn);
+  pendingUpdate = run.catch((err) => {
+    log(LEVELS.ERROR, 'ENGAGEMENT', 'Engagement update failed', { error: err?.message });
+  });
+  return run;
+}
+
+async function loadVisits() {
+  const { [VISITS_KEY]: visits } = await chrome.storage.session.get(VISITS_KEY);
+  return visits || {};
+}
+
+async function saveVisits(visits) {
+  await chrome.storage.session.set({ [VISITS_KEY]: visits });
+}
+
+/**
+ * Start measuring a new visit in a tab. The tab's previous visit, if any,
+ * is finished and returned so the caller can report it.
+ * @param {number} tabId
+ * @param {{url: string, title: string}} page - As reported (after privacy rules)
+ * @returns {Promise<{visitId: string, previous: object|null}>}
+ */
+export function startEngagement(tabId, page) {
+  return serialize(async () => {
+    const visits = await loadVisits();
+    const previous = visits[tabId] ? { ...visits[tabId], endedAt: Date.now() } : null;
+    const visitId = crypto.randomUUID();
+    visits[tabId] = { visitId, page, startedAt: Date.now(), snapshot: null };
+    await saveVisits(visits);
+    return { visitId, previous };
+  });
+}
+
+/**
+ * Store the latest cumulative snapshot sent by trackEngagement. Snapshots
+ * for a visit that already ended (late flushes) are dropped.
+ * @param {number} tabId
+ * @param {object} snapshot
+ */
+export function updateEngagement(tabId, snapshot) {
+  return serialize(async () => {
+    const visits = await loadVisits();
+    const visit = visits[tabId];
+    if (!visit || !snapshot || visit.visitId !== snapshot.visit_id) return;
+    visit.snapshot = snapshot;
+    await saveVisits(visits);
+  });
+}
+
+/**
+ * End the visit in a tab (navigated to an untracked page, tab closed).
+ * @param {number} tabId
+ * @returns {Promise<object|null>} The finished visit, for reporting
+ */
+export function finishEngagement(tabId) {
+  return serialize(async () => {
+    const visits = await loadVisits();
+    const visit = visits[tabId];
+    if (!visit) return null;
+    delete visits[tabId];
+    await saveVisits(visits);
+    return { ...visit, endedAt: Date.now() };
+  });
+}
+
+/**
+ * End every visit, e.g. when tracking pauses.
+ * @returns {Promise<object[]>} The finished visits
+ */
+export function finishAllEngagement() {
+  return serialize(async () => {
+    const visits = await loadVisits();
+    await saveVisits({});
+    const endedAt = Date.now();
+    return Object.values(visits).map((visit) => ({ ...visit, endedAt }));
+  });
+}
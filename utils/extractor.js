@@ -0,0 +1,166 @@
+/**
+ * Readable main-content extraction for the Thoth Chrome Extension.
+ *
+ * extractPageContent is injected into pages with chrome.scripting.executeScript,
+ * which serialises the function source: it must stay self-contained and cannot
+ * use imports or anything else from module scope.
+ */
+
+/**
+ * Extract the main readable content of the current document along with
+ * descriptive metadata. Scores block containers Readability-style
+ * (paragraph text, commas, class/id hints, link density), drops boilerplate
+ * such as navigation, cookie banners and footers, and truncates on paragraph
+ * boundaries.
+ *
+ * @param {number} maxLength - Maximum length of the returned main text
+ * @returns {{
+ *   title: string, url: string, content: string, truncated: boolean,
+ *   headings: Array<{level: number, text: string}>, byline: string,
+ *   published_at: string, language: string, canonical_url: string,
+ *   description: string, og: Object<string, string>
+ * }}
+ */
+export function extractPageContent(maxLength) {
+  const NEGATIVE = /cookie|consent|gdpr|banner|footer|masthead|navbar|\bnav\b|menu|sidebar|comment|share|social|promo|sponsor|advert|\bads?\b|related|newsletter|subscribe|popup|modal|breadcrumb|pagination|widget/i;
+  const POSITIVE = /article|content|main|post|story|entry|text|body|blog|prose|markdown/i;
+  const BOILERPLATE_SELECTOR = [
+    'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'form', 'button', 'select',
+    'nav', 'footer', 'aside', 'dialog',
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+    '[role="dialog"]', '[role="alertdialog"]', '[aria-hidden="true"]', '[hidden]',
+  ].join(',');
+  const BLOCK_SELECTOR = 'p, pre, blockquote, li, h1, h2, h3, h4, h5, h6, td, dd, figcaption';
+
+  const clean = (text) => (text || '').replace(/[ \t\u00a0]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+  const meta = (selector) => {
+    const el = document.querySelector(selector);
+    return el ? clean(el.getAttribute('content') || el.getAttribute('datetime') || el.textContent) : '';
+  };
+  const hints = (el) => `${el.className && typeof el.className === 'string' ? el.className : ''} ${el.id || ''}`;
+
+  const metadata = () => {
+    const og = {};
+    document.querySelectorAll('meta[property^="og:"]').forEach((el) => {
+      const key = el.getAttribute('property').slice(3);
+      if (key && !(key in og)) og[key] = clean(el.getAttribute('content'));
+    });
+    const canonical = document.querySelector('link[rel="canonical"]');
+    return {
+      byline: meta('meta[name="author"]') || meta('[itemprop="author"] [itemprop="name"]') ||
+        meta('[itemprop="author"]') || meta('[rel="author"]') || meta('.byline, .author'),
+      published_at: meta('meta[property="article:published_time"]') || meta('meta[itemprop="datePublished"]') ||
+        meta('[itemprop="datePublished"]') || meta('meta[name="date"]') || meta('article time[datetime]') ||
+        meta('time[datetime]'),
+      language: document.documentElement.lang || meta('meta[http-equiv="content-language"]') || '',
+      canonical_url: canonical ? canonical.href : '',
+      description: meta('meta[name="description"]') || og.description || '',
+      og,
+    };
+  };
+
+  const linkDensity = (el) => {
+    const total = clean(el.textContent).length || 1;
+    let links = 0;
+    el.querySelectorAll('a').forEach((a) => { links += clean(a.textContent).length; });
+    return links / total;
+  };
+
+  // Pick the container whose paragraphs carry the most prose
+  const findMainContainer = (root) => {
+    const landmark = root.querySelector('article, [role="main"], main, [itemprop="articleBody"]');
+    if (landmark && clean(landmark.textContent).length > 500) return landmark;
+
+    const scores = new Map();
+    const addScore = (el, value) => {
+      if (!el || el === root.parentNode) return;
+      if (!scores.has(el)) {
+        const h = hints(el);
+        let base = 0;
+        if (POSITIVE.test(h)) base += 25;
+        if (NEGATIVE.test(h)) base -= 25;
+        scores.set(el, base);
+      }
+      scores.set(el, scores.get(el) + value);
+    };
+    root.querySelectorAll('p, pre, td, blockquote').forEach((p) => {
+      const text = clean(p.textContent);
+      if (text.length < 25) return;
+      const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+      addScore(p.parentElement, score);
+      addScore(p.parentElement && p.parentElement.parentElement, score / 2);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, el) => {
+      const adjusted = score * (1 - linkDensity(el));
+      if (adjusted > bestScore) {
+        best = el;
+        bestScore = adjusted;
+      }
+    });
+    return best || root;
+  };
+
+  // Keep whole paragraphs; only the first block may be cut, at a sentence end if possible
+  const truncate = (blocks) => {
+    const kept = [];
+    let length = 0;
+    for (const block of blocks) {
+      const extra = block.length + (kept.length ? 2 : 0);
+      if (length + extra > maxLength) {
+        if (!kept.length) {
+          const slice = block.slice(0, maxLength);
+          const sentenceEnd = Math.max(slice.lastIndexOf('. '), slice.lastIndexOf('! '), slice.lastIndexOf('? '));
+          kept.push(sentenceEnd > maxLength / 2 ? slice.slice(0, sentenceEnd + 1) : slice);
+        }
+        return { content: kept.join('\n\n'), truncated: true };
+      }
+      kept.push(block);
+      length += extra;
+    }
+    return { content: kept.join('\n\n'), truncated: false };
+  };
+
+  const base = { title: document.title || '', url: location.href || '' };
+  try {
+    if (!document.body) {
+      return { ...base, content: '', truncated: false, headings: [], ...metadata() };
+    }
+    const root = document.body.cloneNode(true);
+    root.querySelectorAll(BOILERPLATE_SELECTOR).forEach((el) => el.remove());
+    root.querySelectorAll('div, section, header, ul, table').forEach((el) => {
+      const h = hints(el);
+      if (!NEGATIVE.test(h) || POSITIVE.test(h)) return;
+      // Short or link-heavy blocks with boilerplate names are banners and menus, not prose
+      if (linkDensity(el) > 0.3 || clean(el.textContent).length < 1000) el.remove();
+    });
+
+    const container = findMainContainer(root);
+    const blocks = [];
+    const seen = new Set();
+    container.querySelectorAll(BLOCK_SELECTOR).forEach((el) => {
+      // Nested matches (a <p> inside an <li>) would otherwise be emitted twice
+      if (el.parentElement && el.parentElement.closest(BLOCK_SELECTOR) &&
+          container.contains(el.parentElement.closest(BLOCK_SELECTOR))) return;
+      const text = clean(el.textContent);
+      if (!text || seen.has(text)) return;
+      if (el.tagName === 'LI' && linkDensity(el) > 0.5) return;
+      seen.add(text);
+      blocks.push(text);
+    });
+    if (!blocks.length) blocks.push(clean(container.textContent));
+
+    const headings = [];
+    container.querySelectorAll('h1, h2, h3, h4').forEach((el) => {
+      const text = clean(el.textContent);
+      if (text && headings.length < 50) headings.push({ level: Number(el.tagName[1]), text });
+    });
+
+    return { ...base, ...truncate(blocks), headings, ...metadata() };
+  } catch (e) {
+    const content = document.body ? (document.body.innerText || '').slice(0, maxLength) : '';
+    return { ...base, content, truncated: false, headings: [], ...metadata() };
+  }
+}
@@ -0,0 +1,59 @@
+import { log, LEVELS } from './logger.js';
+
+/**
+ * Connection test for the server settings: measures round-trip latency and
+ * reads the backend version, so a mistyped or unreachable server is caught
+ * before the user logs in to it.
+ */
+
+const PROBE_TIMEOUT_MS = 5000;
+
+async function timedGet(url) {
+  const startedAt = performance.now();
+  const response = await fetch(url, {
+    headers: { Accept: 'application/json' },
+    cache: 'no-store',
+    signal: AbortSignal.timeout(PROBE_TIMEOUT_MS),
+  });
+  return { response, latencyMs: Math.round(performance.now() - startedAt) };
+}
+
+async function readVersion(response) {
+  const header = response.headers.get('X-App-Version') || response.headers.get('X-Version');
+  if (header) return header;
+  try {
+    const body = await response.json();
+    return body.version || body.app_version || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Probe a server. GET /health is preferred; deployments without it are tried
+ * at /capabilities so older backends still report as reachable.
+ *
+ * @param {string} baseUrl - Server base URL
+ * @returns {Promise<{ok: boolean, latencyMs?: number, version?: string|null, status?: number, error?: string}>}
+ */
+export async function probeServer(baseUrl) {
+  try {
+    let { response, latencyMs } = await timedGet(`${baseUrl}/health`);
+    if (response.status === 404) {
+      ({ response, latencyMs } = await timedGet(`${baseUrl}/capabilities`));
+    }
+    const result = {
+      ok: response.ok,
+      status: response.status,
+      latencyMs,
+      version: response.ok ? await readVersion(response) : null,
+      ...(!response.ok && { error: `HTTP ${response.status}` }),
+    };
+    log(LEVELS.INFO, 'HEALTH', 'Server probed', { baseUrl, ...result });
+    return result;
+  } catch (err) {
+    const error = err?.name === 'TimeoutError' ? 'Timed out' : (err?.message || 'Unreachable');
+    log(LEVELS.WARN, 'HEALTH', 'Server probe failed', { baseUrl, error });
+    return { ok: false, error };
+  }
+}
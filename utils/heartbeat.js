@@ -0,0 +1,105 @@
+/**
+ * Adaptive heartbeat helpers for the Thoth Chrome Extension.
+ * Heartbeats are sent immediately when browser state changes in a way the
+ * backend cares about; otherwise a keep-alive is sent whose interval grows
+ * while the user is away, and each payload only carries fields that differ
+ * from the last state the server acknowledged.
+ */
+
+export const KEEPALIVE_BASE_MS = 30 * 1000;
+export const KEEPALIVE_MAX_MS = 5 * 60 * 1000;
+
+// Bounds for the interval the server may ask for
+const MIN_HINT_MS = 10 * 1000;
+const MAX_HINT_MS = 15 * 60 * 1000;
+
+// Heartbeat fields that describe browser state (as opposed to device identity)
+export const STATE_FIELDS = ['focused', 'idle_state', 'active_tab', 'browser', 'paused'];
+
+/**
+ * Fields of `next` that differ from `previous`. Fields that disappeared are
+ * reported as null so the server can clear them.
+ * @param {object|null} previous - Last acknowledged state, or null if none
+ * @param {object} next
+ * @returns {object}
+ */
+export function diffState(previous, next) {
+  const changes = {};
+  for (const field of STATE_FIELDS) {
+    const before = previous ? previous[field] : undefined;
+    const after = next[field];
+    // active_tab, browser and paused may be objects; compare by value
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes[field] = after === undefined ? null : after;
+    }
+  }
+  return changes;
+}
+
+/**
+ * Delay until the next keep-alive. Resets to the base interval while the
+ * user is engaged or state is changing, otherwise doubles up to the maximum.
+ * @param {number} previousDelay
+ * @param {{changed: boolean, engaged: boolean, baseMs?: number}} context
+ * @returns {number}
+ */
+export function nextKeepAliveDelay(previousDelay, { changed, engaged, baseMs = KEEPALIVE_BASE_MS }) {
+  if (changed || engaged || !previousDelay) return baseMs;
+  return Math.min(Math.max(previousDelay * 2, baseMs), Math.max(KEEPALIVE_MAX_MS, baseMs));
+}
+
+/**
+ * Read the server's preferred heartbeat interval from a heartbeat response.
+ * @param {object} response - Parsed /device/heartbeat response body
+ * @returns {number|null} Interval in milliseconds, clamped, or null if absent
+ */
+export function parseIntervalHint(response) {
+  const seconds = Number(response && response.heartbeat_interval);
+  if (!Number.isFinite(seconds) || seconds <= 0) return null;
+  return Math.min(Math.max(seconds * 1000, MIN_HINT_MS), MAX_HINT_MS);
+}
+
+/**
+ * Describe every normal browser window for the heartbeat.
+ *
+ * @param {chrome.windows.Window[]} windows - Normal, non-incognito windows with
+ *   tabs populated
+ * @param {chrome.tabGroups.TabGroup[]} groups - Tab groups across those windows,
+ *   titles already redacted
+ * @param {number|null} focusedWindowId - Focused window, or the last focused one
+ *   when Chrome itself is not focused
+ * @param {(tab: chrome.tabs.Tab) => ({title?: string, url?: string}|null)} describeTab -
+ *   Applies privacy rules; returns null for tabs that must not be reported
+ * @returns {object}
+ */
+export function buildBrowserState(windows, groups, focusedWindowId, describeTab) {
+  const describeAll = (tabs) => tabs.map(describeTab).filter(Boolean);
+  return {
+    focused_window_id: focusedWindowId,
+    window_count: windows.length,
+    tab_count: windows.reduce((sum, w) => sum + (w.tabs || []).length, 0),
+    windows: windows.map((w) => {
+      const tabs = w.tabs || [];
+      const active = tabs.find((t) => t.active);
+      return {
+        id: w.id,
+        focused: w.id === focusedWindowId,
+        state: w.state,
+        incognito: w.incognito,
+        tab_count: tabs.length,
+        active_tab: active ? describeTab(active) : null,
+        pinned_tabs: describeAll(tabs.filter((t) => t.pinned)),
+        audible_tabs: describeAll(tabs.filter((t) => t.audible)),
+        groups: groups
+          .filter((g) => g.windowId === w.id)
+          .map((g) => ({
+            id: g.id,
+            title: g.title || '',
+            color: g.color,
+            collapsed: g.collapsed,
+            tab_count: tabs.filter((t) => t.groupId === g.id).length,
+          })),
+      };
+    }),
+  };
+}
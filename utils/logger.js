@@ -66,16 +66,28 @@ function log(level, tag, ...args) {
 }
 
 /**
- * Load persisted log level from chrome.storage if available.
+ * Apply a log level name such as "INFO"; unknown names reset to DEBUG.
+ * @param {string|undefined} name
+ */
+function setLevel(name) {
+  currentLevel = LEVELS[name] !== undefined ? LEVELS[name] : LEVELS.DEBUG;
+  log(LEVELS.INFO, 'LOGGER', `Log level set to ${name || 'DEBUG'}`);
+}
+
+/**
+ * Load persisted log level from chrome.storage if available, and follow
+ * changes made on the options page.
  */
 function init() {
   try {
     chrome.storage.sync.get(['logLevel'], (result) => {
       if (result.logLevel !== undefined && LEVELS[result.logLevel] !== undefined) {
-        currentLevel = LEVELS[result.logLevel];
-        log(LEVELS.INFO, 'LOGGER', `Log level set to ${result.logLevel}`);
+        setLevel(result.logLevel);
       }
     });
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes.logLevel) setLevel(changes.logLevel.newValue);
+    });
   } catch (e) {
     // chrome.storage may not be available in some contexts
     console.warn('Logger init failed to access chrome.storage', e);
@@ -0,0 +1,121 @@
+/**
+ * Minimal markdown renderer for chat replies. Builds DOM nodes directly and
+ * never assigns HTML, so backend text cannot inject markup or script; only
+ * http(s) links are turned into anchors.
+ *
+ * Supported: paragraphs, # headings, - / 1. lists, ``` code blocks,
+ * `inline code`, **bold**, *italic* and [links](https://...).
+ */
+
+const INLINE_PATTERN = /(`[^`]+`)|(\*\*[^*]+\*\*)|(\*[^*\s][^*]*\*|_[^_\s][^_]*_)|(\[[^\]]+\]\([^)\s]+\))/;
+
+function appendInline(parent, text) {
+  let rest = text;
+  while (rest) {
+    const match = INLINE_PATTERN.exec(rest);
+    if (!match) {
+      parent.append(rest);
+      return;
+    }
+    if (match.index > 0) parent.append(rest.slice(0, match.index));
+    const token = match[0];
+    if (match[1]) {
+      const code = document.createElement('code');
+      code.textContent = token.slice(1, -1);
+      parent.append(code);
+    } else if (match[2]) {
+      const strong = document.createElement('strong');
+      appendInline(strong, token.slice(2, -2));
+      parent.append(strong);
+    } else if (match[3]) {
+      const em = document.createElement('em');
+      appendInline(em, token.slice(1, -1));
+      parent.append(em);
+    } else {
+      const [, label, href] = /^\[([^\]]+)\]\(([^)\s]+)\)$/.exec(token);
+      if (/^https?:\/\//i.test(href)) {
+        const link = document.createElement('a');
+        link.href = href;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = label;
+        parent.append(link);
+      } else {
+        parent.append(label);
+      }
+    }
+    rest = rest.slice(match.index + token.length);
+  }
+}
+
+/**
+ * Render markdown into a fragment of safe DOM nodes.
+ * @param {string} markdown
+ * @returns {DocumentFragment}
+ */
+export function renderMarkdown(markdown) {
+  const fragment = document.createDocumentFragment();
+  const lines = (markdown || '').replace(/\r\n/g, '\n').split('\n');
+  let paragraph = null;
+  let list = null;
+
+  const closeBlocks = () => {
+    paragraph = null;
+    list = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.startsWith('```')) {
+      closeBlocks();
+      const code = [];
+      // An unterminated fence (still streaming) runs to the end of the text
+      for (i++; i < lines.length && !lines[i].startsWith('```'); i++) code.push(lines[i]);
+      const pre = document.createElement('pre');
+      const block = document.createElement('code');
+      block.textContent = code.join('\n');
+      pre.append(block);
+      fragment.append(pre);
+      continue;
+    }
+
+    const heading = /^(#{1,3})\s+(.*)$/.exec(line);
+    if (heading) {
+      closeBlocks();
+      const el = document.createElement(`h${heading[1].length + 3}`);
+      appendInline(el, heading[2]);
+      fragment.append(el);
+      continue;
+    }
+
+    const item = /^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/.exec(line);
+    if (item) {
+      const tag = item[1] ? 'ul' : 'ol';
+      paragraph = null;
+      if (!list || list.tagName.toLowerCase() !== tag) {
+        list = document.createElement(tag);
+        fragment.append(list);
+      }
+      const li = document.createElement('li');
+      appendInline(li, item[3]);
+      list.append(li);
+      continue;
+    }
+
+    if (!line.trim()) {
+      closeBlocks();
+      continue;
+    }
+
+    list = null;
+    if (paragraph) {
+      paragraph.append(document.createElement('br'));
+    } else {
+      paragraph = document.createElement('p');
+      fragment.append(paragraph);
+    }
+    appendInline(paragraph, line);
+  }
+  return fragment;
+}
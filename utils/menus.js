@@ -0,0 +1,52 @@
+import { log, LEVELS } from './logger.js';
+
+/**
+ * Right-click menu entries for the Thoth Chrome Extension. Registration lives
+ * here; background.js handles the clicks.
+ */
+
+export const MENU_IDS = {
+  ASK_SELECTION: 'thoth-ask-selection',
+  SUMMARIZE_PAGE: 'thoth-summarize-page',
+  SAVE_LINK: 'thoth-save-link',
+  NEVER_TRACK: 'thoth-never-track',
+};
+
+// Web pages only: chrome.scripting cannot run on chrome:// or extension pages
+const DOCUMENT_URL_PATTERNS = ['http://*/*', 'https://*/*'];
+
+const MENUS = [
+  { id: MENU_IDS.ASK_SELECTION, title: 'Ask Thoth about "%s"', contexts: ['selection'] },
+  { id: MENU_IDS.SUMMARIZE_PAGE, title: 'Summarize this page with Thoth', contexts: ['page'] },
+  { id: MENU_IDS.SAVE_LINK, title: 'Save link to Thoth', contexts: ['link'] },
+  { id: MENU_IDS.NEVER_TRACK, title: 'Never track this site', contexts: ['page'] },
+];
+
+let pendingSetup = Promise.resolve(); // rebuilds run one at a time
+
+/**
+ * Show the menus (when logged in) or remove them. Menus outlive the service
+ * worker, so they are rebuilt from scratch each time to avoid duplicate ids.
+ * A failed rebuild is logged and does not hold up the next one.
+ * @param {boolean} visible
+ * @returns {Promise<void>} Never rejects
+ */
+export function setupMenus(visible) {
+  const rebuild = () => rebuildMenus(visible);
+  pendingSetup = pendingSetup.then(rebuild, rebuild).catch((err) => {
+    log(LEVELS.ERROR, 'MENUS', 'Failed to rebuild menus', { visible, error: err?.message });
+  });
+  return pendingSetup;
+}
+
+async function rebuildMenus(visible) {
+  await chrome.contextMenus.removeAll();
+  if (!visible) return;
+  for (const menu of MENUS) {
+    chrome.contextMenus.create({ ...menu, documentUrlPatterns: DOCUMENT_URL_PATTERNS }, () => {
+      if (chrome.runtime.lastError) {
+        log(LEVELS.ERROR, 'MENUS', 'Failed to create menu', { id: menu.id, error: chrome.runtime.lastError.message });
+      }
+    });
+  }
+}
@@ -0,0 +1,105 @@
+import { log, LEVELS } from './logger.js';
+
+/**
+ * Requests from extension pages (popup, injected scripts) to the background
+ * service worker. Each one is answered exactly once with
+ * {ok: true, result} or {ok: false, error}; sendRequest turns the latter
+ * back into a thrown Error.
+ */
+
+export const MESSAGE_TYPES = {
+  SERVER_CHANGED: 'server-changed',
+  LOGIN_SUCCESS: 'login-success',
+  SSO_LOGIN: 'sso-login',
+  LOGOUT: 'logout',
+  GET_STATUS: 'get-status',
+  LIST_DEVICES: 'list-devices',
+  RENAME_DEVICE: 'rename-device',
+  REVOKE_DEVICE: 'revoke-device',
+  // Sent by injected code, which cannot import this module: keep the values in sync
+  ENGAGEMENT: 'engagement', // utils/engagement.js
+  NOTIFICATION_CLICK: 'notification-click', // utils/overlay.js
+  NOTIFICATION_BUTTON: 'notification-button', // utils/overlay.js
+  NOTIFICATION_FEEDBACK: 'notification-feedback',
+  ACTION_ANSWER: 'action-answer',
+};
+
+// Fields each request must carry, by typeof
+const MESSAGE_FIELDS = {
+  [MESSAGE_TYPES.SERVER_CHANGED]: { server: 'object' },
+  [MESSAGE_TYPES.LOGIN_SUCCESS]: {},
+  [MESSAGE_TYPES.SSO_LOGIN]: {},
+  [MESSAGE_TYPES.LOGOUT]: {},
+  [MESSAGE_TYPES.GET_STATUS]: {},
+  [MESSAGE_TYPES.LIST_DEVICES]: {},
+  [MESSAGE_TYPES.RENAME_DEVICE]: { deviceId: 'string', name: 'string' },
+  [MESSAGE_TYPES.REVOKE_DEVICE]: { deviceId: 'string' },
+  [MESSAGE_TYPES.ENGAGEMENT]: { snapshot: 'object' },
+  [MESSAGE_TYPES.NOTIFICATION_CLICK]: { id: 'string' },
+  [MESSAGE_TYPES.NOTIFICATION_BUTTON]: { id: 'string', index: 'number' },
+  [MESSAGE_TYPES.NOTIFICATION_FEEDBACK]: { id: 'string', rating: 'string' },
+  [MESSAGE_TYPES.ACTION_ANSWER]: { id: 'string', approved: 'boolean' },
+};
+
+/**
+ * Check a request against its definition.
+ * @param {object} message
+ * @returns {string|null} What is wrong with it, or null when it is valid
+ */
+export function validateMessage(message) {
+  const fields = message && MESSAGE_FIELDS[message.type];
+  if (!fields) return `Unknown message type: ${message && message.type}`;
+  for (const [name, type] of Object.entries(fields)) {
+    if (typeof message[name] !== type || message[name] === null) {
+      return `${message.type}: "${name}" must be a ${type}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build a chrome.runtime.onMessage listener that dispatches requests to
+ * `handlers` by type. A handler receives the request and its sender and may
+ * return a value or a promise; whatever it resolves to is the result, and
+ * whatever it throws is reported back as the error.
+ *
+ * @param {Object<string, (message: object, sender: chrome.runtime.MessageSender) => any>} handlers
+ *   Keyed by MESSAGE_TYPES value
+ * @returns {Function}
+ */
+export function createMessageRouter(handlers) {
+  return (message, sender, sendResponse) => {
+    const invalid = validateMessage(message);
+    const handler = !invalid && handlers[message.type];
+    if (!handler) {
+      const error = invalid || `No handler for ${message.type}`;
+      log(LEVELS.WARN, 'MESSAGES', 'Rejected message', { error });
+      sendResponse({ ok: false, error });
+      return false;
+    }
+    Promise.resolve()
+      .then(() => handler(message, sender))
+      .then(
+        (result) => sendResponse({ ok: true, result }),
+        (err) => {
+          log(LEVELS.ERROR, 'MESSAGES', `${message.type} failed`, { error: err?.message });
+          sendResponse({ ok: false, error: err?.message || `${message.type} failed` });
+        }
+      );
+    return true; // respond asynchronously
+  };
+}
+
+/**
+ * Send a request to the background and wait for its result.
+ * @param {string} type - One of MESSAGE_TYPES
+ * @param {object} [fields] - The type's fields, see MESSAGE_FIELDS
+ * @returns {Promise<any>} The handler's result
+ * @throws {Error} When the request is invalid or the handler failed
+ */
+export async function sendRequest(type, fields = {}) {
+  const response = await chrome.runtime.sendMessage({ ...fields, type });
+  if (!response) throw new Error(`No response to ${type}`);
+  if (!response.ok) throw new Error(response.error);
+  return response.result;
+}
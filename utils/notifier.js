@@ -1,33 +1,211 @@
 import { log, LEVELS } from './logger.js';
+import { renderOverlay } from './overlay.js';
+
+const PRIORITY_KEY = 'notificationPriority';
+const CHANNEL_KEY = 'deliveryChannel';
+// Recent Thoth messages, newest first, for the popup and for click handling
+export const NOTIFICATION_HISTORY_KEY = 'notificationHistory';
+const MAX_HISTORY = 50;
+// Chrome shows at most two buttons per notification
+const MAX_BUTTONS = 2;
+
+export const NOTIFICATION_ACTIONS = {
+  OPEN_URL: 'open_url',
+  DISMISS: 'dismiss',
+  FEEDBACK: 'feedback',
+  // Anything else (e.g. 'snooze_topic') is passed back to the server as is
+};
+
+// Offered when the server sends a message without buttons of its own
+export const FEEDBACK_BUTTONS = [
+  { title: '👍 Helpful', action: NOTIFICATION_ACTIONS.FEEDBACK, value: 'up' },
+  { title: '👎 Not helpful', action: NOTIFICATION_ACTIONS.FEEDBACK, value: 'down' },
+];
+
+// Chrome notification priority, -2 (lowest) to 2; set on the options page
+let priority = 0;
+// 'notification' or 'overlay', see deliverMessage
+let deliveryChannel = 'notification';
+
+chrome.storage.sync.get([PRIORITY_KEY, CHANNEL_KEY], (result) => {
+  if (Number.isInteger(result[PRIORITY_KEY])) priority = result[PRIORITY_KEY];
+  if (result[CHANNEL_KEY]) deliveryChannel = result[CHANNEL_KEY];
+});
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'sync') return;
+  if (changes[PRIORITY_KEY]) {
+    priority = Number.isInteger(changes[PRIORITY_KEY].newValue) ? changes[PRIORITY_KEY].newValue : 0;
+  }
+  if (changes[CHANNEL_KEY]) deliveryChannel = changes[CHANNEL_KEY].newValue || 'notification';
+});
+
+// Server-supplied links are opened in tabs and shown in the popup; web pages only
+const webUrl = (url) => (typeof url === 'string' && /^https?:\/\//i.test(url) ? url : null);
 
 /**
- * Send a Chrome notification with the given title and message.
- * Includes detailed logging before/after creating the notification.
- *
- * @param {string} title - Notification title
- * @param {string} message - Notification body (typically the URL)
+ * Keep only well-formed buttons the notification can show.
+ * @param {Array<object>} buttons - As sent by the server
+ * @returns {Array<{title: string, action: string}>}
  */
-export function sendNotification(title, message) {
+function sanitizeButtons(buttons) {
+  if (!Array.isArray(buttons)) return [];
+  return buttons
+    .filter((b) => b && typeof b.title === 'string' && b.title.trim() && typeof b.action === 'string')
+    .slice(0, MAX_BUTTONS)
+    .map((b) => (b.url === undefined ? b : { ...b, url: webUrl(b.url) }));
+}
+
+export async function getNotificationHistory() {
+  const result = await chrome.storage.local.get(NOTIFICATION_HISTORY_KEY);
+  return result[NOTIFICATION_HISTORY_KEY] || [];
+}
+
+/**
+ * @param {string} id - Chrome notification id
+ * @returns {Promise<object|undefined>} The history entry
+ */
+export async function findNotification(id) {
+  return (await getNotificationHistory()).find((entry) => entry.id === id);
+}
+
+async function saveToHistory(entry) {
+  const history = await getNotificationHistory();
+  // Same id means the server updated a message; the new version replaces it
+  const updated = [entry, ...history.filter((e) => e.id !== entry.id)].slice(0, MAX_HISTORY);
+  await chrome.storage.local.set({ [NOTIFICATION_HISTORY_KEY]: updated });
+}
+
+/**
+ * Remember the user's rating of a message.
+ * @param {string} id
+ * @param {'up'|'down'} rating
+ * @returns {Promise<object|undefined>} The updated entry
+ */
+export async function setNotificationFeedback(id, rating) {
+  const history = await getNotificationHistory();
+  const entry = history.find((e) => e.id === id);
+  if (!entry) return undefined;
+  entry.feedback = rating;
+  await chrome.storage.local.set({ [NOTIFICATION_HISTORY_KEY]: history });
+  return entry;
+}
+
+export async function clearNotificationHistory() {
+  await chrome.storage.local.remove(NOTIFICATION_HISTORY_KEY);
+}
+
+function buildEntry(title, message, { id, serverId, url, buttons, record = false }) {
+  let shown = sanitizeButtons(buttons);
+  if (!shown.length && serverId) shown = FEEDBACK_BUTTONS;
+  return {
+    id: id || (record ? `thoth-${crypto.randomUUID()}` : ''),
+    serverId: serverId || null,
+    title: title || 'New Site Opened',
+    message: message || '',
+    url: webUrl(url),
+    buttons: shown,
+    feedback: null,
+    createdAt: Date.now(),
+  };
+}
+
+function createNotification(entry) {
   const options = {
     type: 'basic',
     iconUrl: 'icons/icon48.png',
-    title: title || 'New Site Opened',
-    message: message || '',
-    priority: 0, // Low priority; adjust if needed
+    title: entry.title,
+    message: entry.message,
+    priority,
+    ...(entry.buttons.length && { buttons: entry.buttons.map((b) => ({ title: b.title })) }),
+    ...(entry.url && { isClickable: true }),
   };
 
-  log(LEVELS.INFO, 'NOTIFIER', 'Creating notification', { title, message, options });
+  log(LEVELS.INFO, 'NOTIFIER', 'Creating notification', { title: entry.title, message: entry.message, options });
+
+  return new Promise((resolve) => {
+    try {
+      chrome.notifications.create(entry.id, options, (createdId) => {
+        if (chrome.runtime.lastError) {
+          log(LEVELS.ERROR, 'NOTIFIER', 'Notification error', chrome.runtime.lastError);
+        } else {
+          log(LEVELS.DEBUG, 'NOTIFIER', `Notification created: ${createdId}`);
+        }
+        resolve(createdId || entry.id);
+      });
+    } catch (err) {
+      // In case notifications API is not available or fails
+      log(LEVELS.ERROR, 'NOTIFIER', 'Failed to create notification', err);
+      resolve(entry.id);
+    }
+  });
+}
 
+/**
+ * Show a message in the active tab of the focused window.
+ * @param {object} entry - History entry
+ * @returns {Promise<boolean>} false when there is no page the user would see it on
+ */
+async function showOverlay(entry) {
   try {
-    chrome.notifications.create('', options, (notificationId) => {
-      if (chrome.runtime.lastError) {
-        log(LEVELS.ERROR, 'NOTIFIER', 'Notification error', chrome.runtime.lastError);
-      } else {
-        log(LEVELS.DEBUG, 'NOTIFIER', `Notification created: ${notificationId}`);
-      }
+    const win = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+    // Nobody looks at a page in a background window; the OS notification is better there
+    if (!win || !win.focused) return false;
+    const [tab] = await chrome.tabs.query({ active: true, windowId: win.id });
+    if (!tab || !webUrl(tab.url)) return false;
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: renderOverlay,
+      args: [{
+        id: entry.id,
+        title: entry.title,
+        body: entry.message,
+        url: entry.url,
+        buttons: entry.buttons.map((b) => ({ title: b.title })),
+      }],
     });
+    log(LEVELS.DEBUG, 'NOTIFIER', 'Overlay shown', { id: entry.id, tabId: tab.id });
+    return !!(injection && injection.result);
   } catch (err) {
-    // In case notifications API is not available or fails
-    log(LEVELS.ERROR, 'NOTIFIER', 'Failed to create notification', err);
+    // Pages such as the Web Store or PDFs refuse injection
+    log(LEVELS.DEBUG, 'NOTIFIER', 'Overlay not possible', { error: err?.message });
+    return false;
   }
 }
+
+/**
+ * Send a Chrome notification with the given title and message.
+ * Includes detailed logging before/after creating the notification.
+ *
+ * @param {string} title - Notification title
+ * @param {string} message - Notification body (typically the URL)
+ * @param {object} [options]
+ * @param {string} [options.id] - Stable id; a notification with the same id is replaced
+ * @param {string} [options.serverId] - Backend id of the message, for feedback and actions
+ * @param {string} [options.url] - Opened when the notification is clicked
+ * @param {Array<object>} [options.buttons] - {title, action, url?, ...}; see NOTIFICATION_ACTIONS
+ * @param {boolean} [options.record] - Keep it in the popup's history
+ * @returns {Promise<string>} The notification id
+ */
+export async function sendNotification(title, message, options = {}) {
+  const entry = buildEntry(title, message, options);
+  // Saved first so clicks on the notification can always be resolved
+  if (options.record) await saveToHistory(entry);
+  return createNotification(entry);
+}
+
+/**
+ * Show a message from Thoth on the channel the user picked: an in-page
+ * overlay or a notification. Overlays fall back to a notification when the
+ * active tab cannot be injected. The message is always kept in the history.
+ *
+ * @param {string} title
+ * @param {string} message
+ * @param {object} [options] - As for sendNotification, without `record`
+ * @returns {Promise<string>} The message id
+ */
+export async function deliverMessage(title, message, options = {}) {
+  const entry = buildEntry(title, message, { ...options, record: true });
+  await saveToHistory(entry);
+  if (deliveryChannel === 'overlay' && (await showOverlay(entry))) return entry.id;
+  return createNotification(entry);
+}
@@ -0,0 +1,127 @@
+/**
+ * In-page toast that shows Thoth messages inside the active tab, for users
+ * whose OS hides or batches notifications.
+ *
+ * IMPORTANT: `renderOverlay` is injected with chrome.scripting.executeScript,
+ * so it must be fully self-contained – no imports, no references to anything
+ * outside its own body. It runs in the extension's isolated world, which
+ * keeps chrome.runtime available for button clicks.
+ */
+
+/**
+ * Show (or update, by id) a message card in the page. Cards live in a closed
+ * shadow root so page styles cannot reach them and the page cannot read them.
+ *
+ * @param {{id: string, title: string, body: string, url: string|null, buttons: Array<{title: string}>}} message
+ * @returns {boolean} true once the card is on screen
+ */
+export function renderOverlay(message) {
+  const HOST_ID = 'thoth-overlay-host';
+  const MAX_CARDS = 3;
+
+  let host = document.getElementById(HOST_ID);
+  if (!host || !host.thothRoot) {
+    host = document.createElement('div');
+    host.id = HOST_ID;
+    // Keep the host itself out of the page's layout and styling
+    host.style.cssText = 'all: initial; position: fixed; right: 16px; bottom: 16px; z-index: 2147483647;';
+    const root = host.attachShadow({ mode: 'closed' });
+    const style = document.createElement('style');
+    style.textContent = `
+      :host { all: initial; }
+      .stack { display: flex; flex-direction: column; gap: 8px; width: 340px; max-width: calc(100vw - 32px); }
+      .card { font: 13px/1.4 system-ui, sans-serif; color: #222; background: #fff; border-radius: 8px;
+        box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25); padding: 10px 12px; border-left: 4px solid #4CAF50; }
+      .head { display: flex; align-items: center; gap: 6px; }
+      .title { flex: 1; font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+      .body { margin-top: 6px; white-space: pre-wrap; overflow-wrap: anywhere; }
+      .card.collapsed .body { display: -webkit-box; -webkit-line-clamp: 3; -webkit-box-orient: vertical; overflow: hidden; }
+      .actions { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 8px; }
+      button { font: 12px system-ui, sans-serif; border: none; border-radius: 4px; padding: 4px 8px;
+        cursor: pointer; background: #eee; color: #222; }
+      button.primary { background: #4CAF50; color: #fff; }
+      button.icon { background: none; padding: 2px 4px; color: #666; }
+    `;
+    const stack = document.createElement('div');
+    stack.className = 'stack';
+    root.append(style, stack);
+    host.thothRoot = root;
+    document.documentElement.append(host);
+  }
+  const stack = host.thothRoot.querySelector('.stack');
+
+  const button = (label, className, onClick) => {
+    const el = document.createElement('button');
+    el.textContent = label;
+    if (className) el.className = className;
+    el.addEventListener('click', onClick);
+    return el;
+  };
+
+  const card = document.createElement('div');
+  card.className = 'card collapsed';
+  card.dataset.id = message.id;
+
+  const head = document.createElement('div');
+  head.className = 'head';
+  const title = document.createElement('div');
+  title.className = 'title';
+  title.textContent = message.title;
+  const toggle = button('▾', 'icon', () => {
+    const collapsed = card.classList.toggle('collapsed');
+    toggle.textContent = collapsed ? '▾' : '▴';
+    toggle.title = collapsed ? 'Expand' : 'Collapse';
+  });
+  toggle.title = 'Expand';
+  const copy = button('⧉', 'icon', async () => {
+    try {
+      await navigator.clipboard.writeText(message.body);
+    } catch (_) {
+      // The async clipboard needs a secure page; fall back to the legacy command
+      const area = document.createElement('textarea');
+      area.value = message.body;
+      host.thothRoot.append(area);
+      area.select();
+      document.execCommand('copy');
+      area.remove();
+    }
+    copy.textContent = '✓';
+    setTimeout(() => { copy.textContent = '⧉'; }, 1500);
+  });
+  copy.title = 'Copy';
+  const dismiss = button('✕', 'icon', () => card.remove());
+  dismiss.title = 'Dismiss';
+  head.append(title, toggle, copy, dismiss);
+
+  const body = document.createElement('div');
+  body.className = 'body';
+  body.textContent = message.body;
+
+  const actions = document.createElement('div');
+  actions.className = 'actions';
+  if (message.url) {
+    actions.append(button('Open', 'primary', () => {
+      chrome.runtime.sendMessage({ type: 'notification-click', id: message.id });
+      card.remove();
+    }));
+  }
+  message.buttons.forEach((b, index) => {
+    actions.append(button(b.title, '', () => {
+      chrome.runtime.sendMessage({ type: 'notification-button', id: message.id, index });
+      card.remove();
+    }));
+  });
+
+  card.append(head, body);
+  if (actions.childElementCount) card.append(actions);
+
+  // Same id: the server updated the message, replace it in place
+  const existing = [...stack.children].find((c) => c.dataset.id === message.id);
+  if (existing) {
+    existing.replaceWith(card);
+  } else {
+    stack.prepend(card);
+    while (stack.children.length > MAX_CARDS) stack.lastElementChild.remove();
+  }
+  return true;
+}
@@ -0,0 +1,152 @@
+/**
+ * Pausing tracking without logging out: a one-off snooze ("pause for 1 h")
+ * and a recurring schedule outside of which nothing is tracked. Both live in
+ * storage so the popup, the options page and the background agree on them.
+ */
+
+// Epoch ms until which tracking is snoozed on this browser
+export const PAUSED_UNTIL_KEY = 'pausedUntil';
+// Recurring tracking window, synced across the user's browsers
+export const SCHEDULE_KEY = 'trackingSchedule';
+
+export const PAUSE_REASONS = {
+  MANUAL: 'manual',
+  SCHEDULE: 'schedule',
+};
+
+/**
+ * `days` are JS weekdays (0 = Sunday). A window whose end is not after its
+ * start runs overnight into the next day.
+ */
+export const DEFAULT_SCHEDULE = {
+  enabled: false,
+  days: [1, 2, 3, 4, 5],
+  start: '09:00',
+  end: '18:00',
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When a pause option chosen in the popup ends.
+ * @param {'15m'|'1h'|'tomorrow'} option
+ * @param {Date} [now]
+ * @returns {number} Epoch ms
+ */
+export function pauseEndFor(option, now = new Date()) {
+  if (option === '15m') return now.getTime() + 15 * 60 * 1000;
+  if (option === '1h') return now.getTime() + 60 * 60 * 1000;
+  if (option === 'tomorrow') {
+    const tomorrow = new Date(now);
+    tomorrow.setHours(24, 0, 0, 0);
+    return tomorrow.getTime();
+  }
+  throw new Error(`Unknown pause option "${option}"`);
+}
+
+export async function pauseTracking(until) {
+  await chrome.storage.local.set({ [PAUSED_UNTIL_KEY]: until });
+}
+
+export async function resumeTracking() {
+  await chrome.storage.local.remove(PAUSED_UNTIL_KEY);
+}
+
+export async function getSchedule() {
+  const result = await chrome.storage.sync.get(SCHEDULE_KEY);
+  return { ...DEFAULT_SCHEDULE, ...(result[SCHEDULE_KEY] || {}) };
+}
+
+/**
+ * @param {object} schedule
+ * @returns {string|null} Error message, or null when the schedule is usable
+ */
+export function validateSchedule(schedule) {
+  if (!TIME_PATTERN.test(schedule.start) || !TIME_PATTERN.test(schedule.end)) return 'Times must look like 09:00';
+  if (schedule.start === schedule.end) return 'Start and end must differ';
+  if (schedule.enabled && !schedule.days.length) return 'Pick at least one day';
+  return null;
+}
+
+export async function setSchedule(schedule) {
+  const error = validateSchedule(schedule);
+  if (error) throw new Error(error);
+  await chrome.storage.sync.set({ [SCHEDULE_KEY]: schedule });
+}
+
+function atTime(day, time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = new Date(day);
+  date.setHours(hours, minutes, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Tracking windows that start from yesterday (overnight windows may still be
+ * open) up to a week ahead.
+ * @returns {Array<[number, number]>} [start, end) pairs in epoch ms
+ */
+function scheduleWindows(schedule, now) {
+  const windows = [];
+  for (let offset = -1; offset <= 7; offset++) {
+    const day = new Date(now);
+    day.setDate(day.getDate() + offset);
+    if (!schedule.days.includes(day.getDay())) continue;
+    const start = atTime(day, schedule.start);
+    let end = atTime(day, schedule.end);
+    if (end <= start) end += DAY_MS;
+    windows.push([start, end]);
+  }
+  return windows;
+}
+
+/**
+ * Whether tracking is paused right now, why, and until when.
+ * @param {{pausedUntil?: number|null, schedule: object}} config
+ * @param {Date} [now]
+ * @returns {{paused: boolean, reason: string|null, until: number|null}}
+ */
+export function evaluatePause({ pausedUntil, schedule }, now = new Date()) {
+  const time = now.getTime();
+  if (pausedUntil && pausedUntil > time) {
+    return { paused: true, reason: PAUSE_REASONS.MANUAL, until: pausedUntil };
+  }
+  if (schedule.enabled) {
+    const windows = scheduleWindows(schedule, now);
+    if (!windows.some(([start, end]) => start <= time && time < end)) {
+      const next = windows.map(([start]) => start).filter((start) => start > time);
+      return { paused: true, reason: PAUSE_REASONS.SCHEDULE, until: next.length ? Math.min(...next) : null };
+    }
+  }
+  return { paused: false, reason: null, until: null };
+}
+
+/**
+ * The next moment the paused/tracking state may flip, for scheduling an alarm.
+ * @param {{pausedUntil?: number|null, schedule: object}} config
+ * @param {Date} [now]
+ * @returns {number|null} Epoch ms, or null when nothing is pending
+ */
+export function nextPauseChange({ pausedUntil, schedule }, now = new Date()) {
+  const time = now.getTime();
+  const candidates = [];
+  if (pausedUntil && pausedUntil > time) candidates.push(pausedUntil);
+  if (schedule.enabled) {
+    for (const [start, end] of scheduleWindows(schedule, now)) {
+      candidates.push(start, end);
+    }
+  }
+  const future = candidates.filter((t) => t > time);
+  return future.length ? Math.min(...future) : null;
+}
+
+/**
+ * Read the stored pause and schedule and evaluate them.
+ * @returns {Promise<{paused: boolean, reason: string|null, until: number|null, next: number|null}>}
+ */
+export async function getPauseState() {
+  const result = await chrome.storage.local.get(PAUSED_UNTIL_KEY);
+  const config = { pausedUntil: result[PAUSED_UNTIL_KEY] || null, schedule: await getSchedule() };
+  return { ...evaluatePause(config), next: nextPauseChange(config) };
+}
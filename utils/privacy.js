@@ -0,0 +1,164 @@
+/**
+ * Per-site privacy rules for the Thoth Chrome Extension.
+ * Decides, before anything leaves the browser, how much of a tab may be
+ * reported: nothing, its title, its URL, or its full page content.
+ * Settings live in chrome.storage.sync so they follow the user's profile.
+ */
+
+export const PRIVACY_SETTINGS_KEY = 'privacySettings';
+
+// What may be reported about a tab
+export const CAPTURE_LEVELS = {
+  BLOCK: 'block', // nothing – the tab is left out entirely
+  TITLE: 'title', // page title only
+  URL: 'url', // URL only
+  FULL: 'full', // title, URL and page content
+};
+
+export const DEFAULT_PRIVACY_SETTINGS = {
+  // 'blocklist': track everything except matching sites
+  // 'allowlist': track only matching sites
+  mode: 'blocklist',
+  defaultLevel: CAPTURE_LEVELS.FULL,
+  excludeIncognito: true,
+  excludeInternalPages: true,
+  // Ordered; the first matching rule wins.
+  // { pattern: '*.bank.com' | '/regex/i', action: 'allow' | 'block', level: CAPTURE_LEVELS }
+  rules: [],
+  // Extra regexes scrubbed from captured text, on top of the built-in PII detectors
+  customRedactions: [],
+};
+
+// Only ordinary web pages can be captured; everything else is browser UI
+const WEB_PROTOCOLS = ['http:', 'https:'];
+
+export async function getPrivacySettings() {
+  const result = await chrome.storage.sync.get(PRIVACY_SETTINGS_KEY);
+  const stored = result[PRIVACY_SETTINGS_KEY] || {};
+  return {
+    ...DEFAULT_PRIVACY_SETTINGS,
+    ...stored,
+    rules: [...(stored.rules || [])],
+    customRedactions: [...(stored.customRedactions || [])],
+  };
+}
+
+export async function setPrivacySettings(settings) {
+  await chrome.storage.sync.set({ [PRIVACY_SETTINGS_KEY]: settings });
+}
+
+/**
+ * Add a block rule for a URL's site: its host ("www." dropped) and subdomains.
+ * @param {string} url
+ * @returns {Promise<string|null>} The pattern added, or null when the URL is
+ *   not a web page or a rule for it already exists
+ */
+export async function blockSite(url) {
+  let host;
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    host = parsed.hostname.replace(/^www\./, '');
+  } catch (_) {
+    return null;
+  }
+  const pattern = `*.${host}`;
+  const settings = await getPrivacySettings();
+  if (settings.rules.some((rule) => rule.pattern === pattern && rule.action === 'block')) return null;
+  // First match wins, so put it ahead of broader allow rules; it replaces any rule for the same pattern
+  settings.rules = [{ pattern, action: 'block' }, ...settings.rules.filter((rule) => rule.pattern !== pattern)];
+  await setPrivacySettings(settings);
+  return pattern;
+}
+
+function parseRegex(pattern) {
+  const match = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  return match ? new RegExp(match[1], match[2]) : null;
+}
+
+/**
+ * Check a pattern for mistakes before it is saved.
+ * @param {string} pattern - Host glob (e.g. "*.bank.com") or "/regex/flags"
+ * @returns {string|null} Error message, or null when the pattern is valid
+ */
+export function validatePattern(pattern) {
+  if (!pattern || !pattern.trim()) return 'Pattern is empty';
+  if (pattern.startsWith('/')) {
+    try {
+      if (!parseRegex(pattern)) return 'Regex must look like /expression/flags';
+    } catch (e) {
+      return `Invalid regex: ${e.message}`;
+    }
+    return null;
+  }
+  if (!/^[a-z0-9*.\-:]+$/i.test(pattern)) return 'Domain patterns may only contain letters, digits, ".", "-", ":" and "*"';
+  return null;
+}
+
+/**
+ * Test a URL against a rule pattern. Globs match the hostname ("*.example.com"
+ * also matches "example.com"); /regex/ patterns match the full URL.
+ * @param {string} pattern
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function matchesPattern(pattern, url) {
+  if (!pattern || !url) return false;
+  try {
+    const regex = parseRegex(pattern);
+    if (regex) return regex.test(url);
+
+    const host = new URL(url).hostname.toLowerCase();
+    const glob = pattern.trim().toLowerCase();
+    if (glob.startsWith('*.') && host === glob.slice(2)) return true;
+    const source = glob.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\-]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(host);
+  } catch (_) {
+    return false;
+  }
+}
+
+function isWebPage(url) {
+  try {
+    return WEB_PROTOCOLS.includes(new URL(url).protocol);
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Decide how much of a tab may be captured.
+ * @param {object} settings - As returned by getPrivacySettings()
+ * @param {{url?: string, incognito?: boolean}} tab
+ * @returns {string} One of CAPTURE_LEVELS
+ */
+export function resolveCaptureLevel(settings, tab) {
+  if (!tab) return CAPTURE_LEVELS.BLOCK;
+  if (settings.excludeIncognito && tab.incognito) return CAPTURE_LEVELS.BLOCK;
+  if (settings.excludeInternalPages && !isWebPage(tab.url)) return CAPTURE_LEVELS.BLOCK;
+
+  const rule = (settings.rules || []).find((r) => matchesPattern(r.pattern, tab.url));
+  if (rule) {
+    return rule.action === 'block' ? CAPTURE_LEVELS.BLOCK : rule.level || CAPTURE_LEVELS.FULL;
+  }
+  return settings.mode === 'allowlist' ? CAPTURE_LEVELS.BLOCK : settings.defaultLevel;
+}
+
+/**
+ * Strip the fields of a tab that its capture level does not allow.
+ * @param {string} level - One of CAPTURE_LEVELS
+ * @param {{title?: string, url?: string}} tab
+ * @returns {{title?: string, url?: string} | null} null when the tab is blocked
+ */
+export function applyCaptureLevel(level, tab) {
+  switch (level) {
+    case CAPTURE_LEVELS.FULL:
+      return { title: tab.title, url: tab.url };
+    case CAPTURE_LEVELS.URL:
+      return { url: tab.url };
+    case CAPTURE_LEVELS.TITLE:
+      return { title: tab.title };
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,300 @@
+import { log, LEVELS } from './logger.js';
+
+/**
+ * Wire format of the Thoth Chrome Extension.
+ *
+ * Schema 1 is the original flat format understood by every deployed backend.
+ * Schema 2 nests device, presence and page data, carries `schema_version`, and
+ * lets individual features (heartbeat deltas, browser_state, ...) be switched
+ * on per server. Which one is used is negotiated with the server through
+ * GET /capabilities; servers without that endpoint get schema 1.
+ */
+
+export const SCHEMA_VERSION = 2;
+export const CAPABILITIES_KEY = 'serverCapabilities';
+
+export const FEATURES = {
+  HEARTBEAT_DELTA: 'heartbeat_delta', // heartbeats may only carry changed state
+  BROWSER_STATE: 'browser_state', // structured multi-window description
+  IDLE_STATE: 'idle_state', // active / idle / locked presence
+  PAGE_METADATA: 'page_metadata', // headings, byline, OpenGraph, ... on /active
+  REDACTION_REPORT: 'redaction_report', // per-upload redaction counters
+  DEVICE_METADATA: 'device_metadata', // browser / OS / profile details at login and in full heartbeats
+  PAUSE_STATE: 'pause_state', // heartbeats say when the user paused tracking, and until when
+  ENGAGEMENT: 'engagement', // per-visit reading summaries on POST /engagement
+  PUSH: 'push', // server-initiated messages over a WebSocket (see utils/push.js)
+};
+
+export const LEGACY_CAPABILITIES = { schema_version: 1, features: [] };
+
+const CAPABILITIES_TTL_MS = 6 * 60 * 60 * 1000;
+const HANDSHAKE_TIMEOUT_MS = 5000;
+
+/**
+ * Whether the negotiated capabilities include a feature.
+ * @param {{schema_version: number, features: string[]}} caps
+ * @param {string} feature - One of FEATURES
+ * @returns {boolean}
+ */
+export function supports(caps, feature) {
+  return caps.schema_version >= 2 && caps.features.includes(feature);
+}
+
+/**
+ * Pick the highest schema version both sides speak.
+ * @param {object} response - Body of GET /capabilities
+ * @returns {{schema_version: number, features: string[], push_url?: string}}
+ */
+function negotiate(response) {
+  const offered = Array.isArray(response.schema_versions) ? response.schema_versions : [1];
+  const common = offered.filter((v) => Number.isInteger(v) && v <= SCHEMA_VERSION);
+  const version = common.length ? Math.max(...common) : 1;
+  if (version < 2) return LEGACY_CAPABILITIES;
+  const known = Object.values(FEATURES);
+  const features = (Array.isArray(response.features) ? response.features : []).filter((f) => known.includes(f));
+  // Servers may serve the push endpoint on another path; see pushUrlFor for what is trusted
+  const pushUrl = typeof response.push_url === 'string' && /^wss?:\/\//i.test(response.push_url) ? response.push_url : null;
+  return { schema_version: version, features, ...(pushUrl && { push_url: pushUrl }) };
+}
+
+/**
+ * Ask a server which schema version and features it supports. Results are
+ * cached per server URL; when the handshake fails the last known answer is
+ * reused, and servers never seen before are treated as legacy.
+ *
+ * @param {string} baseUrl - Server base URL, as in SERVERS
+ * @param {{ force?: boolean }} [options] - Ignore the cache
+ * @returns {Promise<{schema_version: number, features: string[]}>}
+ */
+export async function fetchCapabilities(baseUrl, { force = false } = {}) {
+  const result = await chrome.storage.local.get(CAPABILITIES_KEY);
+  const cache = result[CAPABILITIES_KEY] || {};
+  const cached = cache[baseUrl];
+  if (!force && cached && Date.now() - cached.fetchedAt < CAPABILITIES_TTL_MS) {
+    return cached.caps;
+  }
+
+  let caps;
+  try {
+    const response = await fetch(`${baseUrl}/capabilities`, {
+      headers: { Accept: 'application/json' },
+      signal: AbortSignal.timeout(HANDSHAKE_TIMEOUT_MS),
+    });
+    if (response.status === 404 || response.status === 405) {
+      // Older deployments have no handshake endpoint at all
+      caps = LEGACY_CAPABILITIES;
+    } else if (!response.ok) {
+      throw new Error(`Capabilities request failed: ${response.status}`);
+    } else {
+      caps = negotiate(await response.json());
+    }
+  } catch (err) {
+    log(LEVELS.WARN, 'PROTOCOL', 'Capability handshake failed', { baseUrl, error: err?.message });
+    return cached ? cached.caps : LEGACY_CAPABILITIES;
+  }
+
+  cache[baseUrl] = { caps, fetchedAt: Date.now() };
+  await chrome.storage.local.set({ [CAPABILITIES_KEY]: cache });
+  log(LEVELS.INFO, 'PROTOCOL', 'Negotiated server capabilities', { baseUrl, ...caps });
+  return caps;
+}
+
+/**
+ * Build a /device/heartbeat body.
+ *
+ * @param {object} caps - Negotiated capabilities
+ * @param {{id: string, name: string, type: string, metadata?: object}} device
+ * @param {object} state - Browser state: focused, idle_state, active_tab
+ *   ({title, url}), browser (see buildBrowserState), tab_titles and paused
+ *   (false, or {reason, until} for the heartbeat announcing a pause)
+ * @param {{ delta?: boolean }} [options] - `state` only holds changed fields
+ * @returns {object}
+ */
+export function buildHeartbeatPayload(caps, device, state, { delta = false } = {}) {
+  const capturedAt = new Date().toISOString();
+  if (caps.schema_version < 2) {
+    const tabCount = state.browser ? state.browser.tab_count : (state.tab_titles || []).length;
+    const titles = (state.tab_titles || []).join(' | ');
+    // Schema-1 servers ignore fields they do not know, so the newer ones ride along flat
+    const extras = {
+      captured_at: capturedAt,
+      ...(state.idle_state && { idle_state: state.idle_state }),
+    };
+    if (state.paused) {
+      // Legacy backends only know current_app; mark the gap there
+      return {
+        device_id: device.id,
+        device_name: device.name,
+        device_type: device.type,
+        current_app: 'chrome|paused',
+        paused: state.paused,
+        ...extras,
+      };
+    }
+    return {
+      device_id: device.id,
+      device_name: device.name,
+      device_type: device.type,
+      current_app: state.browser || state.tab_titles ? `chrome|tabs:${tabCount}|titles:${titles}` : 'chrome',
+      ...(state.active_tab && state.active_tab.title && { current_page: state.active_tab.title }),
+      ...(state.active_tab && state.active_tab.url && { current_url: state.active_tab.url }),
+      ...(typeof state.focused === 'boolean' && { focused: state.focused }),
+      ...extras,
+    };
+  }
+
+  const body = {};
+  if ('focused' in state) body.focused = state.focused;
+  if ('active_tab' in state) body.active_tab = state.active_tab;
+  if ('idle_state' in state && supports(caps, FEATURES.IDLE_STATE)) body.idle_state = state.idle_state;
+  if ('browser' in state && supports(caps, FEATURES.BROWSER_STATE)) body.browser = state.browser;
+  if ('paused' in state && supports(caps, FEATURES.PAUSE_STATE)) body.paused = state.paused;
+  return {
+    schema_version: caps.schema_version,
+    device: devicePart(caps, device),
+    // Lets the backend place heartbeats replayed from the outbound queue
+    captured_at: capturedAt,
+    delta: delta && supports(caps, FEATURES.HEARTBEAT_DELTA),
+    state: body,
+  };
+}
+
+/**
+ * Build a /active body for a captured page.
+ *
+ * @param {object} caps
+ * @param {string} deviceId
+ * @param {object} page - Redacted page fields, optionally with extractor metadata
+ * @param {{focused: boolean, idle_state: string}} presence
+ * @param {{count: number, types: Object<string, number>}} redactions
+ * @returns {object}
+ */
+export function buildActivePayload(caps, deviceId, page, presence, redactions) {
+  if (caps.schema_version < 2) {
+    return {
+      device: deviceId,
+      title: page.title,
+      url: page.url,
+      content: page.content,
+      focused: presence.focused,
+      idle_state: presence.idle_state,
+      captured_at: new Date().toISOString(),
+      redactions,
+    };
+  }
+  const pageBody = { title: page.title, url: page.url, content: page.content };
+  if (page.truncated !== undefined && supports(caps, FEATURES.PAGE_METADATA)) {
+    Object.assign(pageBody, {
+      content_truncated: page.truncated,
+      headings: page.headings,
+      byline: page.byline,
+      published_at: page.published_at,
+      language: page.language,
+      canonical_url: page.canonical_url,
+      description: page.description,
+      og: page.og,
+    });
+  }
+  return {
+    schema_version: caps.schema_version,
+    device_id: deviceId,
+    captured_at: new Date().toISOString(),
+    presence: presencePart(caps, presence),
+    page: pageBody,
+    // Tells the backend the content was scrubbed, and of what
+    ...(supports(caps, FEATURES.REDACTION_REPORT) && { redactions }),
+  };
+}
+
+/**
+ * Build the minimal /active body used to report presence changes.
+ * @param {object} caps
+ * @param {string} deviceId
+ * @param {{focused: boolean, idle_state: string}} presence
+ * @returns {object}
+ */
+export function buildPresencePayload(caps, deviceId, presence) {
+  if (caps.schema_version < 2) {
+    return {
+      device: deviceId,
+      focused: presence.focused,
+      idle_state: presence.idle_state,
+      captured_at: new Date().toISOString(),
+    };
+  }
+  return {
+    schema_version: caps.schema_version,
+    device_id: deviceId,
+    captured_at: new Date().toISOString(),
+    presence: presencePart(caps, presence),
+  };
+}
+
+/**
+ * Build a /device/logout body.
+ * @param {object} caps
+ * @param {{id: string, name: string, type: string}} device
+ * @returns {object}
+ */
+export function buildLogoutPayload(caps, device) {
+  if (caps.schema_version < 2) {
+    return { device_name: device.name, captured_at: new Date().toISOString() };
+  }
+  const { metadata, ...identity } = device;
+  return { schema_version: caps.schema_version, device: identity };
+}
+
+function devicePart(caps, device) {
+  const { metadata, ...identity } = device;
+  return metadata && supports(caps, FEATURES.DEVICE_METADATA) ? { ...identity, metadata } : identity;
+}
+
+/**
+ * Build the body for a user-initiated action (context menu, chat): /ask,
+ * /summarize or /links. These endpoints postdate schema 1, so there is no
+ * legacy variant.
+ * @param {object} caps
+ * @param {string} deviceId
+ * @param {object} fields - Action-specific fields, e.g. selection or page
+ * @returns {object}
+ */
+export function buildActionPayload(caps, deviceId, fields) {
+  return {
+    schema_version: Math.max(caps.schema_version, 2),
+    device_id: deviceId,
+    captured_at: new Date().toISOString(),
+    ...fields,
+  };
+}
+
+/**
+ * Build a POST /engagement body summarising one page visit. Only sent to
+ * servers that support FEATURES.ENGAGEMENT.
+ * @param {object} caps
+ * @param {string} deviceId
+ * @param {{page: {url: string, title: string}, startedAt: number, endedAt: number, snapshot: object|null}} visit
+ * @returns {object}
+ */
+export function buildEngagementPayload(caps, deviceId, visit) {
+  const { visit_id: visitId, ...counts } = visit.snapshot || {};
+  return {
+    schema_version: caps.schema_version,
+    device_id: deviceId,
+    captured_at: new Date().toISOString(),
+    page: { title: visit.page.title, url: visit.page.url },
+    visit: {
+      id: visit.visitId,
+      started_at: new Date(visit.startedAt).toISOString(),
+      ended_at: new Date(visit.endedAt).toISOString(),
+    },
+    // Counts stay empty when the page could not be measured (e.g. a PDF)
+    engagement: counts,
+  };
+}
+
+function presencePart(caps, presence) {
+  return {
+    focused: presence.focused,
+    ...(supports(caps, FEATURES.IDLE_STATE) && { idle_state: presence.idle_state }),
+  };
+}
@@ -0,0 +1,221 @@
+import { log, LEVELS } from './logger.js';
+
+/**
+ * Push channel: a WebSocket to the selected server over which it can send
+ * messages at any time, instead of only in reply to an /active upload.
+ *
+ * Wire format (JSON text frames):
+ *   client → {type: 'auth', token, device_id}   first frame after connecting
+ *   server → {type: 'ready'}                    token accepted
+ *   server → {type: 'message', id, title?, message, url?, buttons?}
+ *   client → {type: 'ack', id}                  after the message was shown
+ *   client → {type: 'ping'} / server → {type: 'pong'}, and vice versa
+ * The server closes with code 4001 when the token is rejected.
+ */
+
+// Periodic wake-up that reconnects after the service worker was suspended
+export const PUSH_ALARM = 'pushKeepAlive';
+
+export const PUSH_STATES = {
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  UNAUTHORIZED: 'unauthorized',
+};
+
+// Traffic at least every 30 s keeps the service worker alive (Chrome 116+)
+const PING_INTERVAL_MS = 20 * 1000;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+const CLOSE_UNAUTHORIZED = 4001;
+const CLOSE_NORMAL = 1000;
+
+let config = null; // see startPush
+let socket = null;
+let state = PUSH_STATES.DISCONNECTED;
+let attempts = 0; // consecutive failed connections, for the backoff
+let retryTimerId = null;
+let pingTimerId = null;
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Whether the access token may be sent to an advertised push URL: only over
+ * wss:// and only to the server's own host. Loopback is exempt from both, so
+ * a local stand-in (dev/mock-push.mjs) can run beside a local backend.
+ */
+function isTrustedPushUrl(pushUrl, baseUrl) {
+  let push;
+  let base;
+  try {
+    push = new URL(pushUrl);
+    base = new URL(baseUrl);
+  } catch (_) {
+    return false;
+  }
+  if (LOOPBACK_HOSTS.includes(push.hostname) && LOOPBACK_HOSTS.includes(base.hostname)) return true;
+  return push.protocol === 'wss:' && push.host === base.host;
+}
+
+/**
+ * Where to connect: the server's advertised push_url when it is trusted (see
+ * isTrustedPushUrl), otherwise /push on the server itself.
+ * @param {string} baseUrl - Server base URL, as in SERVERS
+ * @param {{push_url?: string}} caps - Negotiated capabilities
+ * @returns {string}
+ */
+export function pushUrlFor(baseUrl, caps) {
+  if (caps.push_url) {
+    if (isTrustedPushUrl(caps.push_url, baseUrl)) return caps.push_url;
+    log(LEVELS.WARN, 'PUSH', 'Ignoring push_url on another host or without TLS', { url: caps.push_url });
+  }
+  return `${baseUrl.replace(/^http/i, 'ws')}/push`;
+}
+
+export function getPushState() {
+  return state;
+}
+
+function setState(next) {
+  if (state === next) return;
+  state = next;
+  log(LEVELS.INFO, 'PUSH', `Push channel ${next}`);
+}
+
+function send(ws, frame) {
+  if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(frame));
+}
+
+function scheduleReconnect() {
+  clearTimeout(retryTimerId);
+  // Exponential backoff with jitter, so a restarted server is not stampeded
+  const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempts) * (0.5 + Math.random() / 2);
+  attempts++;
+  log(LEVELS.DEBUG, 'PUSH', 'Reconnecting later', { delayMs: Math.round(delay), attempts });
+  retryTimerId = setTimeout(() => {
+    retryTimerId = null;
+    connect();
+  }, delay);
+}
+
+function handleFrame(ws, data) {
+  let frame;
+  try {
+    frame = JSON.parse(data);
+  } catch (_) {
+    log(LEVELS.WARN, 'PUSH', 'Ignoring malformed frame');
+    return;
+  }
+  switch (frame && frame.type) {
+    case 'ready':
+      attempts = 0;
+      setState(PUSH_STATES.CONNECTED);
+      clearInterval(pingTimerId);
+      pingTimerId = setInterval(() => send(ws, { type: 'ping' }), PING_INTERVAL_MS);
+      break;
+    case 'message':
+      Promise.resolve(config && config.onMessage(frame))
+        .then(() => {
+          if (frame.id !== undefined) send(ws, { type: 'ack', id: frame.id });
+        })
+        .catch((err) => log(LEVELS.ERROR, 'PUSH', 'Failed to handle message', { error: err?.message }));
+      break;
+    case 'ping':
+      send(ws, { type: 'pong' });
+      break;
+    case 'pong':
+      break;
+    default:
+      log(LEVELS.DEBUG, 'PUSH', 'Ignoring unknown frame', { type: frame && frame.type });
+  }
+}
+
+async function connect() {
+  const current = config;
+  if (!current) return;
+  setState(PUSH_STATES.CONNECTING);
+
+  let token;
+  try {
+    token = await current.getToken();
+  } catch (_) {
+    token = undefined;
+  }
+  // Stopped or restarted while the token was being fetched
+  if (config !== current) return;
+  if (!token) {
+    scheduleReconnect();
+    return;
+  }
+
+  let ws;
+  try {
+    ws = new WebSocket(current.url);
+  } catch (err) {
+    log(LEVELS.ERROR, 'PUSH', 'Invalid push URL', { url: current.url, error: err?.message });
+    setState(PUSH_STATES.DISCONNECTED);
+    return;
+  }
+  socket = ws;
+  ws.onopen = () => send(ws, { type: 'auth', token, device_id: current.deviceId });
+  ws.onmessage = (event) => handleFrame(ws, event.data);
+  ws.onerror = () => log(LEVELS.WARN, 'PUSH', 'Push connection error', { url: current.url });
+  ws.onclose = (event) => {
+    if (socket !== ws) return;
+    socket = null;
+    clearInterval(pingTimerId);
+    if (event.code === CLOSE_UNAUTHORIZED) {
+      setState(PUSH_STATES.UNAUTHORIZED);
+      // The owner refreshes the session (or ends it, calling stopPush); the retry picks up the new token
+      current.onUnauthorized();
+    } else {
+      setState(PUSH_STATES.DISCONNECTED);
+    }
+    if (config === current) scheduleReconnect();
+  };
+}
+
+function closeSocket() {
+  clearTimeout(retryTimerId);
+  clearInterval(pingTimerId);
+  retryTimerId = null;
+  if (socket) {
+    const ws = socket;
+    socket = null;
+    ws.close(CLOSE_NORMAL);
+  }
+}
+
+/**
+ * Connect (or stay connected) to a push endpoint. Calling it again with the
+ * same URL does nothing – the channel is connected or retrying already – so
+ * it can be called on every wake-up.
+ *
+ * @param {object} options
+ * @param {string} options.url - ws:// or wss:// URL, see pushUrlFor
+ * @param {string} options.deviceId
+ * @param {() => Promise<string|undefined>} options.getToken - A usable access token
+ * @param {(message: object) => (void|Promise<void>)} options.onMessage - Called per
+ *   'message' frame; it is acknowledged once this settles
+ * @param {() => void} options.onUnauthorized - The server rejected the token; the
+ *   channel retries with whatever getToken returns next
+ */
+export function startPush(options) {
+  if (config && config.url === options.url) return;
+  closeSocket();
+  config = options;
+  attempts = 0;
+  chrome.alarms.create(PUSH_ALARM, { periodInMinutes: 1 });
+  connect();
+}
+
+/**
+ * Disconnect and stop reconnecting, e.g. on logout.
+ */
+export function stopPush() {
+  if (!config && !socket) return;
+  config = null;
+  closeSocket();
+  chrome.alarms.clear(PUSH_ALARM);
+  setState(PUSH_STATES.DISCONNECTED);
+}
@@ -0,0 +1,229 @@
+import { log, LEVELS } from './logger.js';
+
+/**
+ * Durable outbound request queue for the Thoth Chrome Extension.
+ * Requests that fail because the backend or the network is unavailable are
+ * persisted in chrome.storage.local and retried with exponential backoff.
+ * Retries are driven by chrome.alarms so they survive service-worker restarts.
+ */
+
+export const QUEUE_KEY = 'outboundQueue';
+export const QUEUE_ALARM = 'outboundQueueFlush';
+
+const MAX_QUEUE_SIZE = 500;
+const MAX_ATTEMPTS = 12;
+const BASE_BACKOFF_MS = 30 * 1000; // chrome.alarms will not fire sooner than ~30s
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+// Heartbeats describe "now"; replaying an old one tells the backend nothing useful
+const HEARTBEAT_TTL_MS = 10 * 60 * 1000;
+// While offline, keep at most one heartbeat per window instead of one per tick
+const HEARTBEAT_COALESCE_MS = 60 * 1000;
+
+// Serialise read-modify-write cycles on the stored queue
+let queueLock = Promise.resolve();
+// Cached queue length so callers can cheaply skip a flush when nothing is pending
+let pendingCount = null;
+
+function withQueueLock(fn) {
+  const run = queueLock.then(fn, fn);
+  queueLock = run.catch(() => {});
+  return run;
+}
+
+async function loadQueue() {
+  const result = await chrome.storage.local.get(QUEUE_KEY);
+  const queue = Array.isArray(result[QUEUE_KEY]) ? result[QUEUE_KEY] : [];
+  pendingCount = queue.length;
+  return queue;
+}
+
+async function saveQueue(queue) {
+  await chrome.storage.local.set({ [QUEUE_KEY]: queue });
+  pendingCount = queue.length;
+}
+
+/**
+ * Compute the delay before the next attempt, with +/-20% jitter so several
+ * browsers coming back online do not retry in lockstep.
+ * @param {number} attempts - Number of attempts made so far
+ * @returns {number}
+ */
+function backoffDelay(attempts) {
+  const delay = Math.min(BASE_BACKOFF_MS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+  const jitter = delay * 0.2 * (Math.random() * 2 - 1);
+  return Math.round(delay + jitter);
+}
+
+/**
+ * Drop stale heartbeats and enforce the size cap. Heartbeats are evicted
+ * before page-visit and logout events when the queue is full.
+ * @param {Array<object>} queue
+ * @param {number} now
+ * @returns {Array<object>}
+ */
+function prune(queue, now) {
+  const fresh = queue.filter(
+    (entry) => entry.kind !== 'heartbeat' || now - entry.createdAt <= HEARTBEAT_TTL_MS
+  );
+  let overflow = fresh.length - MAX_QUEUE_SIZE;
+  if (overflow <= 0) return fresh;
+
+  const dropped = new Set();
+  for (const entry of fresh) {
+    if (overflow <= 0) break;
+    if (entry.kind === 'heartbeat') {
+      dropped.add(entry.id);
+      overflow--;
+    }
+  }
+  for (const entry of fresh) {
+    if (overflow <= 0) break;
+    if (!dropped.has(entry.id)) {
+      dropped.add(entry.id);
+      overflow--;
+    }
+  }
+  log(LEVELS.WARN, 'QUEUE', 'Outbound queue full – dropping oldest entries', { dropped: dropped.size });
+  return fresh.filter((entry) => !dropped.has(entry.id));
+}
+
+/**
+ * Make sure an alarm is set for the earliest pending retry.
+ * @param {Array<object>} queue
+ */
+async function scheduleFlush(queue) {
+  if (!queue.length) {
+    await chrome.alarms.clear(QUEUE_ALARM);
+    return;
+  }
+  const when = Math.max(Math.min(...queue.map((entry) => entry.nextAttemptAt)), Date.now() + 1000);
+  await chrome.alarms.create(QUEUE_ALARM, { when });
+}
+
+/**
+ * Decide whether a failed request is worth retrying. Network errors (no
+ * status), timeouts, rate limiting and server errors are retried; other
+ * client errors (bad payload, expired token) never succeed on replay.
+ * @param {Error & {status?: number}} err
+ * @returns {boolean}
+ */
+export function isRetryable(err) {
+  const status = err && err.status;
+  if (!status) return true;
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Persist a failed request for later delivery.
+ * @param {'heartbeat'|'active'|'logout'|'links'|'feedback'|'engagement'} kind - Request category, used for eviction
+ * @param {string} url - Absolute backend URL, so the request stays bound to its server
+ * @param {object} body - JSON body to POST
+ * @param {string} token - Auth token the request was made with
+ * @param {object} [context] - Kept with the entry for whoever delivers it, e.g.
+ *   the dedupe key of an /active upload
+ */
+export function enqueue(kind, url, body, token, context) {
+  return withQueueLock(async () => {
+    const now = Date.now();
+    const queue = await loadQueue();
+    if (kind === 'heartbeat') {
+      const recent = queue.find(
+        (entry) => entry.kind === 'heartbeat' && entry.url === url && now - entry.createdAt < HEARTBEAT_COALESCE_MS
+      );
+      if (recent) {
+        recent.body = body;
+        recent.token = token;
+        await saveQueue(queue);
+        return;
+      }
+    }
+    queue.push({
+      id: crypto.randomUUID(),
+      kind,
+      url,
+      body,
+      token,
+      ...(context && { context }),
+      createdAt: now,
+      attempts: 1,
+      nextAttemptAt: now + backoffDelay(1),
+    });
+    const pruned = prune(queue, now);
+    await saveQueue(pruned);
+    await scheduleFlush(pruned);
+    log(LEVELS.INFO, 'QUEUE', 'Request queued for retry', { kind, url, size: pruned.length });
+  });
+}
+
+/**
+ * Whether the queue may hold undelivered requests. Returns true until the
+ * queue has been read at least once in this service-worker lifetime.
+ * @returns {boolean}
+ */
+export function hasPendingRequests() {
+  return pendingCount === null || pendingCount > 0;
+}
+
+/**
+ * Attempt delivery of queued requests in FIFO order.
+ *
+ * @param {(entry: object) => Promise<any>} send - Performs the request; rejects
+ *   with an Error carrying an optional `status` on failure
+ * @param {{ force?: boolean }} [options] - When force is set, entries are sent
+ *   even if their backoff has not elapsed (e.g. connectivity just came back)
+ */
+export function flushQueue(send, { force = false } = {}) {
+  return withQueueLock(async () => {
+    const now = Date.now();
+    let queue = prune(await loadQueue(), now);
+    const remaining = [];
+    let offline = false;
+    let delivered = 0;
+
+    for (const entry of queue) {
+      if (offline || (!force && entry.nextAttemptAt > now)) {
+        remaining.push(entry);
+        continue;
+      }
+      try {
+        await send(entry);
+        delivered++;
+      } catch (err) {
+        if (!isRetryable(err) || entry.attempts >= MAX_ATTEMPTS) {
+          log(LEVELS.WARN, 'QUEUE', 'Dropping undeliverable request', {
+            kind: entry.kind,
+            url: entry.url,
+            attempts: entry.attempts,
+            error: err?.message,
+          });
+          continue;
+        }
+        const attempts = entry.attempts + 1;
+        remaining.push({ ...entry, attempts, nextAttemptAt: now + backoffDelay(attempts) });
+        // Without a status the backend is unreachable; don't hammer it with the rest
+        offline = !err?.status;
+      }
+    }
+
+    queue = remaining;
+    await saveQueue(queue);
+    await scheduleFlush(queue);
+    if (delivered) {
+      log(LEVELS.INFO, 'QUEUE', 'Delivered queued requests', { delivered, remaining: queue.length });
+    }
+  });
+}
+
+/**
+ * Point queued requests made with a refreshed token at its replacement, so
+ * they are not rejected once the old token expires.
+ * @param {string} oldToken
+ * @param {string} newToken
+ */
+export function replaceQueuedToken(oldToken, newToken) {
+  return withQueueLock(async () => {
+    const queue = await loadQueue();
+    if (!queue.some((entry) => entry.token === oldToken)) return;
+    await saveQueue(queue.map((entry) => (entry.token === oldToken ? { ...entry, token: newToken } : entry)));
+  });
+}
@@ -0,0 +1,198 @@
+/**
+ * Client-side PII redaction for the Thoth Chrome Extension.
+ * Scrubs emails, phone numbers, payment cards, IBANs and credentials from
+ * captured text before it is uploaded, and counts what was removed so the
+ * backend knows the payload was altered.
+ */
+
+// Query parameters whose values are credentials regardless of their shape
+const SENSITIVE_PARAMS = /^(?:access_token|id_token|refresh_token|token|auth|code|key|api_?key|secret|password|passwd|pwd|session|sid|signature|sig)$/i;
+
+function luhnValid(digits) {
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let d = Number(digits[i]);
+    if (double) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+    double = !double;
+  }
+  return sum % 10 === 0;
+}
+
+function ibanValid(candidate) {
+  const iban = candidate.replace(/\s+/g, '').toUpperCase();
+  if (iban.length < 15 || iban.length > 34) return false;
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const ch of rearranged) {
+    const value = ch >= 'A' ? String(ch.charCodeAt(0) - 55) : ch;
+    for (const digit of value) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+/**
+ * Built-in detectors, applied in order. Credentials run first so that a JWT
+ * is not half-eaten by the email or phone detectors.
+ * `validate` lets a detector reject regex matches that are not the real thing.
+ */
+const DETECTORS = [
+  { type: 'JWT', regex: /\beyJ[\w-]{5,}\.eyJ[\w-]{5,}\.[\w-]{5,}\b/g },
+  { type: 'BEARER_TOKEN', regex: /\bBearer\s+[\w\-.~+/]{16,}=*/gi },
+  { type: 'AWS_KEY', regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { type: 'AWS_SECRET', regex: /\baws_secret_access_key\s*[=:]\s*["']?[A-Za-z0-9/+]{40}["']?/gi },
+  { type: 'API_KEY', regex: /\b(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{16,}\b|\bgh[pousr]_[A-Za-z0-9]{36,}\b|\bxox[abposr]-[A-Za-z0-9-]{10,}\b|\bAIza[0-9A-Za-z_-]{35}\b|\bsk-[A-Za-z0-9_-]{20,}\b/g },
+  { type: 'EMAIL', regex: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+  { type: 'IBAN', regex: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g, validate: ibanValid },
+  {
+    type: 'CARD',
+    regex: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: (match) => luhnValid(match.replace(/\D/g, '')),
+  },
+  {
+    type: 'PHONE',
+    regex: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}[\s.-]\d{2,4}[\s.-]?\d{2,4}\b|\+\d{8,15}\b/g,
+    validate: (match) => {
+      const digits = match.replace(/\D/g, '').length;
+      return digits >= 9 && digits <= 15;
+    },
+  },
+];
+
+/**
+ * Compile user-defined patterns, skipping any that are not valid regexes.
+ * @param {string[]} patterns - Regex sources, optionally written as /source/flags
+ * @returns {RegExp[]}
+ */
+export function compileCustomPatterns(patterns = []) {
+  const compiled = [];
+  for (const pattern of patterns) {
+    const error = validateRedactionPattern(pattern);
+    if (error) continue;
+    const match = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    const [source, flags] = match ? [match[1], match[2]] : [pattern, ''];
+    compiled.push(new RegExp(source, flags.includes('g') ? flags : `${flags}g`));
+  }
+  return compiled;
+}
+
+/**
+ * @param {string} pattern
+ * @returns {string|null} Error message, or null when the pattern compiles
+ */
+export function validateRedactionPattern(pattern) {
+  if (!pattern || !pattern.trim()) return 'Pattern is empty';
+  const match = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  try {
+    const regex = match ? new RegExp(match[1], match[2]) : new RegExp(pattern);
+    if (regex.test('')) return 'Pattern must not match empty text';
+  } catch (e) {
+    return `Invalid regex: ${e.message}`;
+  }
+  return null;
+}
+
+function addCount(counts, type, n = 1) {
+  counts[type] = (counts[type] || 0) + n;
+}
+
+/**
+ * Replace sensitive substrings of a text.
+ * @param {string} text
+ * @param {RegExp[]} custom - From compileCustomPatterns()
+ * @param {Object<string, number>} counts - Per-type counters, updated in place
+ * @returns {string}
+ */
+export function redactText(text, custom = [], counts = {}) {
+  if (!text) return text;
+  let result = text;
+  for (const { type, regex, validate } of DETECTORS) {
+    result = result.replace(regex, (match) => {
+      if (validate && !validate(match)) return match;
+      addCount(counts, type);
+      return `[REDACTED:${type}]`;
+    });
+  }
+  for (const regex of custom) {
+    result = result.replace(regex, () => {
+      addCount(counts, 'CUSTOM');
+      return '[REDACTED:CUSTOM]';
+    });
+  }
+  return result;
+}
+
+/**
+ * Redact query string and fragment values of a URL. Values of well-known
+ * credential parameters are dropped outright; others go through redactText.
+ * @param {string} url
+ * @param {RegExp[]} custom
+ * @param {Object<string, number>} counts
+ * @returns {string}
+ */
+export function redactUrl(url, custom = [], counts = {}) {
+  if (!url) return url;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    return redactText(url, custom, counts);
+  }
+  for (const [name, value] of [...parsed.searchParams]) {
+    if (SENSITIVE_PARAMS.test(name)) {
+      parsed.searchParams.set(name, 'REDACTED');
+      addCount(counts, 'URL_PARAM');
+    } else {
+      const scrubbed = redactText(value, custom, counts);
+      if (scrubbed !== value) parsed.searchParams.set(name, scrubbed);
+    }
+  }
+  // OAuth implicit flows put tokens in the fragment
+  if (parsed.hash && /(?:access_token|id_token)=/.test(parsed.hash)) {
+    parsed.hash = '';
+    addCount(counts, 'URL_PARAM');
+  }
+  return parsed.toString();
+}
+
+/**
+ * Redact a captured page before upload.
+ * @param {{title?: string, url?: string, content?: string}} page - May also carry
+ *   the structured fields produced by extractPageContent
+ * @param {string[]} customPatterns - User-defined regexes
+ * @returns {{page: object, redactions: {count: number, types: Object<string, number>}}}
+ */
+export function redactPage(page, customPatterns = []) {
+  const custom = compileCustomPatterns(customPatterns);
+  const types = {};
+  const redacted = {
+    ...page,
+    title: redactText(page.title, custom, types),
+    url: redactUrl(page.url, custom, types),
+    content: redactText(page.content, custom, types),
+  };
+  // Structured fields from the content extractor are just as likely to carry PII
+  for (const field of ['byline', 'description']) {
+    if (page[field]) redacted[field] = redactText(page[field], custom, types);
+  }
+  if (page.canonical_url) redacted.canonical_url = redactUrl(page.canonical_url, custom, types);
+  if (Array.isArray(page.headings)) {
+    redacted.headings = page.headings.map((h) => ({ ...h, text: redactText(h.text, custom, types) }));
+  }
+  if (page.og) {
+    redacted.og = Object.fromEntries(
+      Object.entries(page.og).map(([key, value]) => [
+        key,
+        key === 'url' ? redactUrl(value, custom, types) : redactText(value, custom, types),
+      ])
+    );
+  }
+  const count = Object.values(types).reduce((sum, n) => sum + n, 0);
+  return { page: redacted, redactions: { count, types } };
+}
@@ -0,0 +1,175 @@
+import { DEFAULT_IDLE_THRESHOLD_SECONDS, IDLE_THRESHOLD_KEY, MIN_IDLE_THRESHOLD_SECONDS } from './storage.js';
+
+/**
+ * User-tunable settings for the Thoth Chrome Extension, edited on the options
+ * page. Each setting is its own chrome.storage.sync key so modules that only
+ * care about one (the logger, the notifier, idle detection) can read and
+ * watch it directly.
+ */
+
+export const SETTINGS = {
+  heartbeatIntervalSeconds: {
+    label: 'Heartbeat interval (seconds)',
+    type: 'integer',
+    default: 30,
+    min: 10,
+    max: 900,
+  },
+  [IDLE_THRESHOLD_KEY]: {
+    label: 'Idle threshold (seconds)',
+    type: 'integer',
+    default: DEFAULT_IDLE_THRESHOLD_SECONDS,
+    min: MIN_IDLE_THRESHOLD_SECONDS,
+    max: 7200,
+  },
+  maxContentLength: {
+    label: 'Maximum page content uploaded (characters)',
+    type: 'integer',
+    default: 8000,
+    min: 500,
+    max: 50000,
+  },
+  deviceName: {
+    label: 'Device name',
+    type: 'string',
+    // Empty means "detect", e.g. "Chrome on macOS" (see resolveDeviceName in device.js)
+    default: '',
+    defaultHint: 'detected from browser and OS',
+    pattern: /^[\w .-]{0,64}$/,
+    patternHint: 'letters, digits, spaces, ".", "-" and "_" (at most 64)',
+  },
+  notificationPriority: {
+    label: 'Notification priority',
+    type: 'integer',
+    default: 0,
+    min: -2,
+    max: 2,
+  },
+  deliveryChannel: {
+    label: 'Show Thoth messages as',
+    type: 'enum',
+    // 'overlay' falls back to a notification where the page cannot be injected
+    default: 'notification',
+    values: ['notification', 'overlay'],
+  },
+  logLevel: {
+    label: 'Log level',
+    type: 'enum',
+    default: 'DEBUG',
+    values: ['DEBUG', 'INFO', 'WARN', 'ERROR'],
+  },
+};
+
+const SETTING_KEYS = Object.keys(SETTINGS);
+const EXPORT_FORMAT = 'thoth-settings';
+const EXPORT_VERSION = 1;
+
+/**
+ * Check a single setting value.
+ * @param {string} key - One of SETTINGS
+ * @param {*} value
+ * @returns {string|null} Error message, or null when the value is valid
+ */
+export function validateSetting(key, value) {
+  const spec = SETTINGS[key];
+  if (!spec) return `Unknown setting "${key}"`;
+  if (spec.type === 'integer') {
+    if (!Number.isInteger(value)) return `${spec.label} must be a whole number`;
+    if (value < spec.min || value > spec.max) return `${spec.label} must be between ${spec.min} and ${spec.max}`;
+  } else if (spec.type === 'enum') {
+    if (!spec.values.includes(value)) return `${spec.label} must be one of ${spec.values.join(', ')}`;
+  } else if (typeof value !== 'string' || !spec.pattern.test(value.trim())) {
+    return `${spec.label} may only contain ${spec.patternHint}`;
+  }
+  return null;
+}
+
+/**
+ * Current values of all settings, with defaults for those never saved.
+ * @returns {Promise<Object<string, *>>}
+ */
+export async function getSettings() {
+  const stored = await chrome.storage.sync.get(SETTING_KEYS);
+  const settings = {};
+  for (const key of SETTING_KEYS) {
+    // Fall back to the default for values saved by an older, looser version
+    settings[key] = stored[key] !== undefined && !validateSetting(key, stored[key]) ? stored[key] : SETTINGS[key].default;
+  }
+  return settings;
+}
+
+/**
+ * Validate and save some settings. Nothing is saved unless every value is valid.
+ * @param {Object<string, *>} values
+ * @returns {Promise<void>}
+ * @throws {Error} With one line per invalid value
+ */
+export async function saveSettings(values) {
+  const errors = Object.entries(values)
+    .map(([key, value]) => validateSetting(key, value))
+    .filter(Boolean);
+  if (errors.length) throw new Error(errors.join('\n'));
+  const cleaned = Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [key, typeof value === 'string' ? value.trim() : value])
+  );
+  await chrome.storage.sync.set(cleaned);
+}
+
+/**
+ * Restore every setting to its default.
+ */
+export async function resetSettings() {
+  await chrome.storage.sync.remove(SETTING_KEYS);
+}
+
+/**
+ * Serialise the current settings for download.
+ * @returns {Promise<string>}
+ */
+export async function exportSettings() {
+  const settings = await getSettings();
+  return JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, settings }, null, 2);
+}
+
+/**
+ * Apply settings from an exportSettings() file. Keys it does not contain keep
+ * their current value; unknown keys are ignored.
+ * @param {string} json
+ * @returns {Promise<string[]>} Keys that were imported
+ * @throws {Error} When the file is malformed or holds invalid values
+ */
+export async function importSettings(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (_) {
+    throw new Error('File is not valid JSON');
+  }
+  if (!data || data.format !== EXPORT_FORMAT || typeof data.settings !== 'object') {
+    throw new Error('File is not a Thoth settings export');
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error('Settings were exported by a newer version of the extension');
+  }
+  const values = Object.fromEntries(Object.entries(data.settings).filter(([key]) => SETTINGS[key]));
+  await saveSettings(values);
+  return Object.keys(values);
+}
+
+/**
+ * Call `callback` with the new values (defaults for removed keys) whenever
+ * settings change in storage, e.g. from the options page.
+ * @param {(changed: Object<string, *>) => void} callback
+ */
+export function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync') return;
+    const changed = {};
+    for (const key of SETTING_KEYS) {
+      if (!(key in changes)) continue;
+      const { newValue } = changes[key];
+      changed[key] = newValue === undefined ? SETTINGS[key].default : newValue;
+    }
+    if (Object.keys(changed).length) callback(changed);
+  });
+}
@@ -0,0 +1,127 @@
+import { log, LEVELS } from './logger.js';
+import { tokenRequestError } from './auth.js';
+
+/**
+ * Single sign-on for the Thoth Chrome Extension: OAuth2 / OpenID Connect
+ * authorization code flow with PKCE, run through chrome.identity's web auth
+ * flow so passwords are only ever typed into the identity provider's page.
+ *
+ * A server opts in with an `auth` entry (see SERVERS in storage.js):
+ *   { method: 'oidc', issuer, clientId, scope?, authorizationEndpoint?, tokenEndpoint? }
+ * Endpoints not given explicitly are discovered from the issuer.
+ */
+
+function base64url(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function randomString(byteLength = 32) {
+  return base64url(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+async function pkceChallenge(verifier) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return base64url(new Uint8Array(digest));
+}
+
+/**
+ * Whether a server entry is configured for SSO.
+ * @param {object} server
+ * @returns {boolean}
+ */
+export function supportsSso(server) {
+  return !!(server && server.auth && server.auth.method === 'oidc' && server.auth.clientId);
+}
+
+/**
+ * Resolve the authorization and token endpoints for a server's SSO config.
+ * @param {object} auth - The server's `auth` entry
+ * @returns {Promise<{authorizationEndpoint: string, tokenEndpoint: string}>}
+ */
+async function resolveEndpoints(auth) {
+  if (auth.authorizationEndpoint && auth.tokenEndpoint) {
+    return { authorizationEndpoint: auth.authorizationEndpoint, tokenEndpoint: auth.tokenEndpoint };
+  }
+  const res = await fetch(`${auth.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+  if (!res.ok) throw new Error(`OIDC discovery failed: ${res.status}`);
+  const config = await res.json();
+  return {
+    authorizationEndpoint: auth.authorizationEndpoint || config.authorization_endpoint,
+    tokenEndpoint: auth.tokenEndpoint || config.token_endpoint,
+  };
+}
+
+async function requestTokens(tokenEndpoint, params) {
+  const res = await fetch(tokenEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(params).toString(),
+  });
+  if (!res.ok) {
+    throw await tokenRequestError(res, 'Token request failed');
+  }
+  const data = await res.json();
+  if (!data.access_token) throw new Error('No token received');
+  return data;
+}
+
+/**
+ * Run the interactive SSO login for a server.
+ * @param {object} server - Server entry with an `auth` config
+ * @returns {Promise<{access_token: string, refresh_token?: string, expires_in?: number}>}
+ */
+export async function loginWithSso(server) {
+  if (!supportsSso(server)) throw new Error(`${server.name} is not configured for SSO`);
+  const { auth } = server;
+  const { authorizationEndpoint, tokenEndpoint } = await resolveEndpoints(auth);
+
+  const verifier = randomString(48);
+  const state = randomString(16);
+  const redirectUri = chrome.identity.getRedirectURL('oauth2');
+  const authUrl = new URL(authorizationEndpoint);
+  authUrl.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: auth.clientId,
+    redirect_uri: redirectUri,
+    scope: auth.scope || 'openid profile email offline_access',
+    state,
+    code_challenge: await pkceChallenge(verifier),
+    code_challenge_method: 'S256',
+  }).toString();
+
+  log(LEVELS.INFO, 'SSO', 'Starting web auth flow', { server: server.name, authorizationEndpoint });
+  const responseUrl = await chrome.identity.launchWebAuthFlow({ url: authUrl.toString(), interactive: true });
+  if (!responseUrl) throw new Error('Login was cancelled');
+
+  const params = new URL(responseUrl).searchParams;
+  if (params.get('error')) {
+    throw new Error(`Login failed: ${params.get('error_description') || params.get('error')}`);
+  }
+  if (params.get('state') !== state) throw new Error('Login failed: state mismatch');
+  const code = params.get('code');
+  if (!code) throw new Error('Login failed: no authorization code');
+
+  return requestTokens(tokenEndpoint, {
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: auth.clientId,
+    code_verifier: verifier,
+  });
+}
+
+/**
+ * Use an SSO refresh token to get a new access token from the identity provider.
+ * @param {object} server - Server entry with an `auth` config
+ * @param {string} refreshToken
+ * @returns {Promise<{access_token: string, refresh_token?: string, expires_in?: number}>}
+ */
+export async function refreshSsoToken(server, refreshToken) {
+  if (!supportsSso(server)) throw new Error(`${server.name} is not configured for SSO`);
+  const { tokenEndpoint } = await resolveEndpoints(server.auth);
+  return requestTokens(tokenEndpoint, {
+    grant_type: 'refresh_token',
+    refresh_token: refreshToken,
+    client_id: server.auth.clientId,
+  });
+}
@@ -11,11 +11,111 @@ export const SERVERS = {
   }
 };
 
+// User-added servers ({id, name, url, auth?}), synced across the user's browsers
+export const CUSTOM_SERVERS_KEY = 'customServers';
+
+/**
+ * Built-in servers followed by the user's own.
+ * @returns {Promise<Array<{id: string, name: string, url: string, auth?: object, builtIn?: boolean}>>}
+ */
+export async function getServers() {
+  const result = await chrome.storage.sync.get(CUSTOM_SERVERS_KEY);
+  const builtIns = Object.entries(SERVERS).map(([id, server]) => ({ id, ...server, builtIn: true }));
+  return [...builtIns, ...(result[CUSTOM_SERVERS_KEY] || [])];
+}
+
 export async function getCurrentServer() {
   const result = await chrome.storage.local.get(SERVER_CONFIG_KEY);
-  return result[SERVER_CONFIG_KEY] || SERVERS.PRODUCTION;
+  const stored = result[SERVER_CONFIG_KEY] || { id: 'PRODUCTION', ...SERVERS.PRODUCTION };
+  // The stored copy may predate edits to the server list (or config changes such as `auth`)
+  const servers = await getServers();
+  const current = servers.find((server) => stored.id && server.id === stored.id)
+    || servers.find((server) => server.url === stored.url);
+  return current || stored;
 }
 
 export async function setCurrentServer(server) {
   await chrome.storage.local.set({ [SERVER_CONFIG_KEY]: server });
 }
+
+/**
+ * Check a server base URL entered by the user.
+ * @param {string} url
+ * @returns {string|null} Error message, or null when the URL is usable
+ */
+export function validateServerUrl(url) {
+  if (!url || !url.trim()) return 'URL is empty';
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (_) {
+    return 'Not a valid URL';
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return 'URL must start with https://';
+  // Tokens travel in every request; plain http is only acceptable on this machine
+  const local = ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+  if (parsed.protocol === 'http:' && !local) return 'Use https:// for servers other than localhost';
+  if (parsed.username || parsed.password) return 'URL must not contain credentials';
+  if (parsed.search || parsed.hash) return 'URL must not contain a query or fragment';
+  return null;
+}
+
+/**
+ * Normalise a validated base URL: no trailing slash, so paths can be appended.
+ * @param {string} url
+ * @returns {string}
+ */
+export function normalizeServerUrl(url) {
+  const parsed = new URL(url.trim());
+  return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}`;
+}
+
+async function saveCustomServers(servers) {
+  await chrome.storage.sync.set({ [CUSTOM_SERVERS_KEY]: servers });
+}
+
+/**
+ * Add or update a user server. Built-in servers cannot be edited.
+ * @param {{id?: string, name: string, url: string, auth?: object}} server - Without
+ *   an id a new server is added
+ * @returns {Promise<object>} The saved server
+ */
+export async function saveServer(server) {
+  const error = validateServerUrl(server.url);
+  if (error) throw new Error(error);
+  if (server.id && SERVERS[server.id]) throw new Error('Built-in servers cannot be edited');
+
+  const result = await chrome.storage.sync.get(CUSTOM_SERVERS_KEY);
+  const custom = result[CUSTOM_SERVERS_KEY] || [];
+  const url = normalizeServerUrl(server.url);
+  const entry = {
+    id: server.id || crypto.randomUUID(),
+    name: (server.name || '').trim() || new URL(url).host,
+    url,
+    ...(server.auth && { auth: server.auth }),
+  };
+  const index = custom.findIndex((s) => s.id === entry.id);
+  if (index >= 0) custom[index] = entry;
+  else custom.push(entry);
+  await saveCustomServers(custom);
+  return entry;
+}
+
+/**
+ * Remove a user server.
+ * @param {string} id
+ */
+export async function removeServer(id) {
+  const result = await chrome.storage.sync.get(CUSTOM_SERVERS_KEY);
+  await saveCustomServers((result[CUSTOM_SERVERS_KEY] || []).filter((s) => s.id !== id));
+}
+
+export const IDLE_THRESHOLD_KEY = 'idleThresholdSeconds';
+export const DEFAULT_IDLE_THRESHOLD_SECONDS = 120;
+// chrome.idle rejects detection intervals shorter than 15 seconds
+export const MIN_IDLE_THRESHOLD_SECONDS = 15;
+
+export async function getIdleThreshold() {
+  const result = await chrome.storage.sync.get(IDLE_THRESHOLD_KEY);
+  return result[IDLE_THRESHOLD_KEY] || DEFAULT_IDLE_THRESHOLD_SECONDS;
+}
@@ -0,0 +1,311 @@
+import { log, LEVELS } from './logger.js';
+
+/**
+ * Local activity timeline: every page processTabUpdate reports is also kept
+ * here, in IndexedDB, so users can see what was recorded about them. Each
+ * visit carries the time the tab was actually in front of the user (focused
+ * window, active tab, not idle), not just how long it stayed open.
+ *
+ * Visit: {id, tabId, url, title, domain, start, end, dwellMs}; `end` is null
+ * while the page is still open.
+ */
+
+const DB_NAME = 'thoth-timeline';
+const DB_VERSION = 1;
+const STORE = 'visits';
+// Oldest visits are dropped beyond this
+export const MAX_VISITS = 5000;
+// Open visits and the focused tab, so a suspended service worker can carry on
+const TRACKER_KEY = 'timelineTracker';
+
+const CSV_COLUMNS = ['start', 'end', 'dwell_seconds', 'domain', 'title', 'url'];
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('start', 'start');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+function asPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(STORE, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const result = await fn(tx.objectStore(STORE));
+  await done;
+  return result;
+}
+
+function domainOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (_) {
+    return '';
+  }
+}
+
+async function trimToCap(store) {
+  const count = await asPromise(store.count());
+  let excess = count - MAX_VISITS;
+  if (excess <= 0) return;
+  await new Promise((resolve, reject) => {
+    const cursorRequest = store.index('start').openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor || excess <= 0) return resolve();
+      cursor.delete();
+      excess--;
+      cursor.continue();
+    };
+    cursorRequest.onerror = () => reject(cursorRequest.error);
+  });
+}
+
+async function addVisit(visit) {
+  return withStore('readwrite', async (store) => {
+    const id = await asPromise(store.add(visit));
+    await trimToCap(store);
+    return id;
+  });
+}
+
+async function updateVisit(id, update) {
+  await withStore('readwrite', async (store) => {
+    const visit = await asPromise(store.get(id));
+    // Deleted from the timeline page while still open
+    if (!visit) return;
+    store.put(update(visit));
+  });
+}
+
+/**
+ * Visits that started in [from, to), newest first.
+ * @param {{from?: number, to?: number}} [range] - Epoch ms
+ * @returns {Promise<Array<object>>}
+ */
+export async function listVisits({ from = 0, to = Infinity } = {}) {
+  const range = Number.isFinite(to) ? IDBKeyRange.bound(from, to, false, true) : IDBKeyRange.lowerBound(from);
+  const visits = await withStore('readonly', (store) => asPromise(store.index('start').getAll(range)));
+  return visits.reverse();
+}
+
+export async function deleteVisit(id) {
+  await withStore('readwrite', (store) => asPromise(store.delete(id)));
+}
+
+/**
+ * Delete visits that started in [from, to).
+ * @param {{from?: number, to?: number}} [range] - Epoch ms; everything when omitted
+ * @returns {Promise<number>} How many were deleted
+ */
+export async function clearVisits(range) {
+  const visits = await listVisits(range);
+  await withStore('readwrite', (store) => {
+    for (const visit of visits) store.delete(visit.id);
+  });
+  return visits.length;
+}
+
+// ---- Tracking -------------------------------------------------------------
+
+let pendingUpdate = Promise.resolve(); // tracker changes run one at a time
+
+function serialize(fn) {
+  pendingUpdate = pendingUpdate.then(fn).catch((err) => {
+    log(LEVELS.ERROR, 'TIMELINE', 'Timeline update failed', { error: err?.message });
+  });
+  return pendingUpdate;
+}
+
+async function loadTracker() {
+  const { [TRACKER_KEY]: tracker } = await chrome.storage.session.get(TRACKER_KEY);
+  if (tracker) return tracker;
+  // A new browser session: visits left open by the last one ended with it
+  const open = (await listVisits()).filter((visit) => visit.end === null);
+  for (const visit of open) {
+    await updateVisit(visit.id, (v) => ({ ...v, end: v.start + v.dwellMs }));
+  }
+  return { visits: {}, focusedTabId: null, focusedSince: null };
+}
+
+async function saveTracker(tracker) {
+  await chrome.storage.session.set({ [TRACKER_KEY]: tracker });
+}
+
+// Credit the focused tab's visit with the time since it gained focus
+async function creditFocus(tracker, now) {
+  const visitId = tracker.visits[tracker.focusedTabId];
+  if (visitId !== undefined && tracker.focusedSince) {
+    const elapsed = Math.max(0, now - tracker.focusedSince);
+    await updateVisit(visitId, (v) => ({ ...v, dwellMs: v.dwellMs + elapsed }));
+  }
+  tracker.focusedSince = tracker.focusedTabId === null ? null : now;
+}
+
+async function endVisit(tracker, tabId, now) {
+  const visitId = tracker.visits[tabId];
+  if (visitId === undefined) return;
+  if (tracker.focusedTabId === tabId) await creditFocus(tracker, now);
+  await updateVisit(visitId, (v) => ({ ...v, end: now }));
+  delete tracker.visits[tabId];
+}
+
+/**
+ * A tab moved on to a new page: close its previous visit and open one.
+ * @param {number} tabId
+ * @param {{url: string, title: string}} page - As reported (after privacy rules)
+ */
+export function recordVisit(tabId, { url, title }) {
+  return serialize(async () => {
+    const tracker = await loadTracker();
+    const now = Date.now();
+    await endVisit(tracker, tabId, now);
+    tracker.visits[tabId] = await addVisit({
+      tabId,
+      url,
+      title,
+      domain: domainOf(url),
+      start: now,
+      end: null,
+      dwellMs: 0,
+    });
+    if (tracker.focusedTabId === tabId) tracker.focusedSince = now;
+    await saveTracker(tracker);
+  });
+}
+
+/**
+ * The tab in front of the user changed, or nobody is looking (null: another
+ * app has focus, the user is idle, or tracking is paused).
+ * @param {number|null} tabId
+ */
+export function focusVisit(tabId) {
+  return serialize(async () => {
+    const tracker = await loadTracker();
+    if (tracker.focusedTabId === tabId) return;
+    const now = Date.now();
+    await creditFocus(tracker, now);
+    tracker.focusedTabId = tabId;
+    tracker.focusedSince = tabId === null ? null : now;
+    await saveTracker(tracker);
+  });
+}
+
+/**
+ * A tab closed, or tracking stopped for it: its visit ends now.
+ * @param {number} tabId
+ */
+export function closeVisit(tabId) {
+  return serialize(async () => {
+    const tracker = await loadTracker();
+    await endVisit(tracker, tabId, Date.now());
+    if (tracker.focusedTabId === tabId) {
+      tracker.focusedTabId = null;
+      tracker.focusedSince = null;
+    }
+    await saveTracker(tracker);
+  });
+}
+
+/**
+ * Close every open visit, e.g. on logout or pause.
+ */
+export function closeAllVisits() {
+  return serialize(async () => {
+    const tracker = await loadTracker();
+    const now = Date.now();
+    for (const tabId of Object.keys(tracker.visits)) {
+      await endVisit(tracker, Number(tabId), now);
+    }
+    await saveTracker({ visits: {}, focusedTabId: null, focusedSince: null });
+  });
+}
+
+// ---- Views and export -----------------------------------------------------
+
+/**
+ * Local calendar day of a timestamp, e.g. "2024-05-01".
+ * @param {number} time - Epoch ms
+ * @returns {string}
+ */
+export function dayOf(time) {
+  const date = new Date(time);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function totalsBy(visits, keyOf) {
+  const totals = new Map();
+  for (const visit of visits) {
+    const key = keyOf(visit);
+    const total = totals.get(key) || { key, visits: 0, dwellMs: 0 };
+    total.visits++;
+    total.dwellMs += visit.dwellMs;
+    totals.set(key, total);
+  }
+  return [...totals.values()];
+}
+
+/**
+ * Visit counts and focused time per day (newest first) and per domain (most
+ * time first).
+ * @param {Array<object>} visits
+ * @returns {{byDay: Array<{key: string, visits: number, dwellMs: number}>, byDomain: Array<{key: string, visits: number, dwellMs: number}>}}
+ */
+export function aggregateVisits(visits) {
+  return {
+    byDay: totalsBy(visits, (v) => dayOf(v.start)).sort((a, b) => b.key.localeCompare(a.key)),
+    byDomain: totalsBy(visits, (v) => v.domain || '(none)').sort((a, b) => b.dwellMs - a.dwellMs),
+  };
+}
+
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Page titles and URLs are untrusted: keep spreadsheets from running them as formulas
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialise visits for download.
+ * @param {Array<object>} visits
+ * @param {'json'|'csv'} format
+ * @returns {string}
+ */
+export function exportVisits(visits, format) {
+  const rows = visits.map((v) => ({
+    start: new Date(v.start).toISOString(),
+    end: v.end === null ? null : new Date(v.end).toISOString(),
+    dwell_seconds: Math.round(v.dwellMs / 1000),
+    domain: v.domain,
+    title: v.title,
+    url: v.url,
+  }));
+  if (format === 'json') return JSON.stringify(rows, null, 2);
+  const lines = rows.map((row) => CSV_COLUMNS.map((column) => csvField(row[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...lines].join('\r\n');
+}